@@ -0,0 +1,14 @@
+/**
+ * Autentique Webhook Handler
+ *
+ * Receives document and signature events from Autentique
+ * Updates the signature status of the matching Kommo lead
+ * and files the signed PDF once every party has signed (see lib/signature-webhook.js)
+ */
+
+const { createSignatureWebhookHandler } = require('../lib/signature-webhook');
+
+module.exports = createSignatureWebhookHandler('autentique');
+
+// The event signature is checked against the raw body, which the body parser would consume
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,14 @@
+/**
+ * ClickSign Webhook Handler
+ *
+ * Receives document events from ClickSign
+ * Updates the signature status of the matching Kommo lead
+ * and files the signed PDF once every party has signed (see lib/signature-webhook.js)
+ */
+
+const { createSignatureWebhookHandler } = require('../lib/signature-webhook');
+
+module.exports = createSignatureWebhookHandler('clicksign');
+
+// The event signature is checked against the raw body, which the body parser would consume
+module.exports.config = { api: { bodyParser: false } };
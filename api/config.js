@@ -0,0 +1,90 @@
+/**
+ * Contract Configuration Endpoint
+ *
+ * Reads and edits the field mapping and template routing without a redeploy
+ * Saved configurations go to the store and replace config/contract-config.json until reset
+ *
+ * Usage (with `Authorization: Bearer ADMIN_TOKEN`):
+ * - GET /api/config                   Configuration in use and where it came from
+ * - GET /api/config?check=fields      Also check that every custom field ID exists in Kommo
+ * - PUT /api/config                   Save a new configuration (body: the whole configuration)
+ * - PUT /api/config?dry_run=true      Only validate the configuration
+ * - DELETE /api/config                Go back to config/contract-config.json
+ */
+
+const KommoClient = require('../lib/kommo');
+const {
+  getContractConfig,
+  saveContractConfig,
+  resetContractConfig,
+  checkFieldIds,
+} = require('../lib/contract-config');
+const { validateContractConfig } = require('../lib/config-schema');
+const { isAdminRequest } = require('../lib/admin-auth');
+const settings = require('../config/settings');
+
+module.exports = async (req, res) => {
+  if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const current = await getContractConfig();
+      const response = { ...current };
+
+      if (req.query.check === 'fields') {
+        const problems = await checkFieldIds(current.config, new KommoClient());
+        response.fieldCheck = { valid: problems.length === 0, problems };
+      }
+
+      return res.status(200).json(response);
+    }
+
+    if (req.method === 'DELETE') {
+      await resetContractConfig();
+      return res.status(200).json({ success: true, source: 'file' });
+    }
+
+    if (!settings.contractConfig.useStore) {
+      return res.status(409).json({ error: 'CONTRACT_CONFIG_STORE is disabled, edit config/contract-config.json instead' });
+    }
+
+    const config = typeof req.body === 'string' ? parseJson(req.body) : req.body;
+    const problems = config ? validateContractConfig(config) : ['(root): body must be the configuration as JSON'];
+
+    if (problems.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid contract configuration', problems });
+    }
+
+    if (req.query.dry_run === 'true') {
+      return res.status(200).json({ success: true, valid: true });
+    }
+
+    const record = await saveContractConfig(config, req.headers['x-admin-user'] || null);
+    return res.status(200).json({ success: true, version: record.version, updatedAt: record.updatedAt });
+  } catch (error) {
+    console.error('Error handling config request:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Parse a JSON body that arrived as text
+ * @param {string} text - Raw body
+ * @returns {Object|null} Parsed body or null if it isn't JSON
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Contract Details Endpoint
+ *
+ * Returns a contract from the registry with its signers and error history
+ *
+ * Usage: GET /api/contracts/CONTRACT_ID with `Authorization: Bearer ADMIN_TOKEN`
+ */
+
+const { getContract } = require('../../lib/contract-registry');
+const { isAdminRequest } = require('../../lib/admin-auth');
+
+module.exports = async (req, res) => {
+  // Only accept GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const contract = await getContract(req.query.id);
+
+    return contract
+      ? res.status(200).json({ contract })
+      : res.status(404).json({ error: 'Contract not found' });
+  } catch (error) {
+    console.error('Error fetching contract:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
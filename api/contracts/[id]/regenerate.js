@@ -0,0 +1,353 @@
+/**
+ * Contract Regeneration Endpoint
+ *
+ * Replaces the contract of a lead on demand, e.g. after a typo was fixed in Kommo:
+ * a fresh contract is generated with the current lead data, then the old document
+ * is archived and pending signature documents are cancelled
+ *
+ * Usage: POST /api/contracts/123456/regenerate with `Authorization: Bearer ADMIN_TOKEN`
+ * Body (optional): { "rule": "default", "force": false, "reason": "CPF corrigido" }
+ */
+
+const KommoClient = require('../../../lib/kommo');
+const { createRenderer } = require('../../../lib/renderer');
+const {
+  createSignatureProvider,
+  isSignatureProviderEnabled,
+  getStoredSignatureProvider,
+  getSignatureProviderLabel,
+} = require('../../../lib/signature-provider');
+const { findRuleForLead } = require('../../../lib/trigger-rules');
+const { prepareContract, runPipeline, saveResult } = require('../../../lib/contract-service');
+const { runContractPipeline } = require('../../../lib/contract-pipeline');
+const { reportValidationProblems } = require('../../../lib/validation');
+const { isAdminRequest } = require('../../../lib/admin-auth');
+const {
+  getIdempotencyKey,
+  acquireLock,
+  releaseLock,
+  listProcessedRecords,
+  recordEvent,
+} = require('../../../lib/idempotency');
+const { markContractsReplaced, listContracts } = require('../../../lib/contract-registry');
+const settings = require('../../../config/settings');
+
+// Signature statuses that block the regeneration unless `force` is set
+const SIGNED_STATUSES = ['partially_signed', 'signed'];
+
+module.exports = async (req, res) => {
+  // Only accept POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  // The route segment is named [id] to share the folder with /api/contracts/:id, here it is a lead ID
+  const leadId = parseInt(req.query.id);
+  if (!leadId) {
+    return res.status(400).json({ error: 'Invalid lead ID' });
+  }
+
+  const options = req.body && typeof req.body === 'object' ? req.body : {};
+  const ruleName = options.rule || req.query.rule || null;
+  const force = options.force === true || req.query.force === 'true';
+  const reason = options.reason || null;
+
+  let idempotencyKey;
+  let lockToken;
+
+  try {
+    const kommo = new KommoClient();
+    const renderer = createRenderer();
+
+    console.log(`Regenerating contract for lead ${leadId}...`);
+    const leadData = await kommo.getLead(leadId);
+    const lead = leadData._embedded?.leads?.[0] || leadData;
+
+    const rule = findRuleForLead(lead, ruleName);
+    if (!rule) {
+      return res.status(400).json({
+        error: ruleName
+          ? `Trigger rule "${ruleName}" not found`
+          : 'No trigger rule that generates contracts matches this lead, pass one in "rule"',
+      });
+    }
+
+    console.log(`Using trigger rule "${rule.name}"`);
+
+    idempotencyKey = getIdempotencyKey(leadId, rule.name);
+    lockToken = await acquireLock(idempotencyKey);
+    if (!lockToken) {
+      return res.status(409).json({ error: 'Lead is being processed right now, try again in a moment' });
+    }
+
+    // Always generate a new document; the lead stays where it is and gets its own note below
+    const regenerationRule = {
+      ...rule,
+      actions: { ...rule.actions, generate: true, note: false, move: null },
+    };
+
+    const trigger = { pipelineId: lead.pipeline_id, statusId: lead.status_id };
+    const { context, problems } = await prepareContract({
+      kommo,
+      renderer,
+      leadId,
+      lead,
+      rule: regenerationRule,
+      ...trigger,
+    });
+
+    if (problems.length > 0) {
+      console.warn('Validation failed, contract not regenerated:', JSON.stringify(problems));
+      await reportValidationProblems(kommo, lead, problems);
+
+      return res.status(422).json({
+        success: false,
+        leadId,
+        message: 'Validation failed, contract not regenerated',
+        validationErrors: problems,
+      });
+    }
+
+    // Find the documents sent for signature for this lead and refuse to replace signed ones
+    const signatureDocuments = await getSignatureDocuments(leadId);
+    const signedDocument = signatureDocuments.find(document => SIGNED_STATUSES.includes(document.status));
+
+    if (signedDocument && !force) {
+      return res.status(409).json({
+        error: 'The current contract has already been signed, pass "force": true to replace it anyway',
+        autentiqueDocumentId: signedDocument.id,
+        status: signedDocument.status,
+      });
+    }
+
+    // Generate the new document before touching the current one: if it fails, the lead keeps its contract
+    const newContext = { ...context, existingDocument: null };
+    const generated = await runContractPipeline(newContext, {}, { stopAfter: 'generate' });
+    if (generated.failedStep) {
+      throw new Error(`New contract could not be generated, the current one was kept: ${generated.error}`);
+    }
+
+    // Cancel the pending documents so the client can't sign the old version
+    // Signed documents are never cancelled: with `force` they are only marked as replaced
+    // From here on the new document exists, so failures are collected and reported instead of thrown
+    const cancelledDocuments = [];
+    const failedCancellations = [];
+    const keptSignedDocuments = [];
+    for (const document of signatureDocuments) {
+      if (SIGNED_STATUSES.includes(document.status)) {
+        console.log(`Keeping signed ${document.provider.label} document ${document.id} (${document.status})`);
+        keptSignedDocuments.push(document.id);
+        continue;
+      }
+
+      if (document.status === 'refused') {
+        continue;
+      }
+
+      try {
+        console.log(`Cancelling ${document.provider.label} document ${document.id} (${document.status})...`);
+        await document.provider.cancelDocument(document.id);
+        cancelledDocuments.push(document.id);
+      } catch (error) {
+        console.error(`Error cancelling ${document.provider.label} document ${document.id}:`, error.message);
+        failedCancellations.push({ id: document.id, provider: document.provider.name, error: error.message });
+      }
+    }
+
+    // Archive the current document
+    let archivedDocument = null;
+    let archiveError = null;
+    if (context.existingDocument?.id) {
+      try {
+        console.log(`Archiving document ${context.existingDocument.id}...`);
+        archivedDocument = await renderer.archive(context.existingDocument);
+        archivedDocument.link = context.existingDocument.link;
+      } catch (error) {
+        console.error(`Error archiving document ${context.existingDocument.id}:`, error.message);
+        archiveError = error.message;
+      }
+    }
+
+    if (cancelledDocuments.length > 0) {
+      await clearSignatureFields(kommo, leadId);
+    }
+
+    // Run the remaining steps of the new contract
+    const response = await runPipeline(newContext, {
+      ...trigger,
+      overrideActions: true,
+      resume: { fromStep: 'linkField', state: generated },
+    });
+
+    response.archivedDocument = archivedDocument;
+    response.cancelledAutentiqueDocuments = cancelledDocuments;
+    response.replacedSignedDocuments = keptSignedDocuments;
+
+    // The new contract is in place, but the old version may still be open
+    if (failedCancellations.length > 0 || archiveError) {
+      response.success = false;
+      response.failedCancellations = failedCancellations;
+      response.archiveError = archiveError;
+      response.previousDocument = context.existingDocument || null;
+    }
+
+    if (response.contractId && response.documentId) {
+      response.replacedContracts = await markContractsReplaced(leadId, response.contractId, {
+        documentIds: archivedDocument ? [archivedDocument.id] : [],
+        autentiqueDocumentIds: [...cancelledDocuments, ...keptSignedDocuments],
+      });
+    }
+
+    await saveResult(response);
+    await recordEvent(leadId, {
+      rule: rule.name,
+      ...trigger,
+      outcome: 'regenerated',
+      documentId: response.documentId,
+      archivedDocumentId: archivedDocument?.id || null,
+      cancelledAutentiqueDocuments: cancelledDocuments,
+      replacedSignedDocuments: keptSignedDocuments,
+      failedCancellations: failedCancellations.map(failure => failure.id),
+      archiveError,
+      reason,
+    });
+
+    if (response.documentLink) {
+      await postRegenerationNote(kommo, leadId, response, reason);
+    }
+
+    return res.status(200).json(response);
+  } catch (error) {
+    console.error('Error regenerating contract:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  } finally {
+    if (lockToken) {
+      await releaseLock(idempotencyKey, lockToken);
+    }
+  }
+};
+
+/**
+ * Get the documents sent for signature for a lead, with their current signature status
+ * Both the processed records and the contract registry are read, so a document is found even
+ * when one of them is missing. Contracts already replaced or expired were dealt with before
+ * Documents of providers that are no longer configured can't be checked and are left alone
+ * @param {number} leadId - Lead ID
+ * @returns {Promise<Array<Object>>} Documents { id, provider, status }
+ */
+async function getSignatureDocuments(leadId) {
+  const [records, contracts] = await Promise.all([listProcessedRecords(leadId), listContracts({ leadId })]);
+  const sent = new Map();
+  const handled = new Set();
+
+  for (const record of [...records, ...contracts]) {
+    if (!record.autentiqueDocumentId) {
+      continue;
+    }
+
+    if (['replaced', 'expired'].includes(record.status)) {
+      handled.add(record.autentiqueDocumentId);
+    } else {
+      sent.set(record.autentiqueDocumentId, getStoredSignatureProvider(record));
+    }
+  }
+
+  for (const id of handled) {
+    sent.delete(id);
+  }
+
+  const providers = {};
+  const documents = [];
+
+  for (const [id, providerName] of sent) {
+    if (!isSignatureProviderEnabled(providerName)) {
+      console.warn(`Signature provider "${providerName}" is not configured, can't check document ${id}`);
+      continue;
+    }
+
+    const provider = providers[providerName] = providers[providerName] || createSignatureProvider(providerName);
+    const document = await provider.getDocument(id);
+
+    // Documents deleted or cancelled in the provider's panel have nothing left to cancel
+    if (document) {
+      documents.push({ id, provider, status: provider.getSignatureStatus(document) });
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Clear the signature link and signature status of the cancelled documents
+ * Failures are logged and never interrupt the regeneration
+ * @param {KommoClient} kommo - Kommo client
+ * @param {number} leadId - Lead ID
+ * @returns {Promise<void>}
+ */
+async function clearSignatureFields(kommo, leadId) {
+  const fieldIds = [settings.kommo.autentiqueLinkFieldId, settings.signatureStatus.fieldId].filter(Boolean);
+
+  for (const fieldId of fieldIds) {
+    try {
+      await kommo.clearLeadCustomField(leadId, fieldId);
+    } catch (error) {
+      console.error(`Error clearing custom field ${fieldId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Tell the salesperson the contract was replaced
+ * Failures are logged and never interrupt the regeneration
+ * @param {KommoClient} kommo - Kommo client
+ * @param {number} leadId - Lead ID
+ * @param {Object} response - Response of the regeneration
+ * @param {string} reason - Reason given in the request (optional)
+ * @returns {Promise<void>}
+ */
+async function postRegenerationNote(kommo, leadId, response, reason) {
+  const lines = [`Contrato regenerado: ${response.documentLink}`];
+
+  if (response.archivedDocument) {
+    lines.push(`Versão anterior arquivada: ${response.archivedDocument.link}`);
+  }
+
+  if (response.cancelledAutentiqueDocuments.length > 0) {
+    lines.push('A assinatura pendente da versão anterior foi cancelada');
+  }
+
+  if (response.replacedSignedDocuments.length > 0) {
+    lines.push('A versão anterior já assinada foi mantida e marcada como substituída');
+  }
+
+  for (const failure of response.failedCancellations || []) {
+    lines.push(`Não foi possível cancelar a assinatura pendente da versão anterior no ${getSignatureProviderLabel(failure.provider)} ` +
+               `(documento ${failure.id}): cancele-a manualmente`);
+  }
+
+  if (response.archiveError) {
+    lines.push(`Não foi possível arquivar a versão anterior: ${response.previousDocument.link}`);
+  }
+
+  if (response.autentique?.primaryLink) {
+    lines.push(`${getSignatureProviderLabel(response.autentique.provider)}: ${response.autentique.primaryLink}`);
+  }
+
+  if (reason) {
+    lines.push(`Motivo: ${reason}`);
+  }
+
+  try {
+    await kommo.addNoteToLead(leadId, lines.join('\n'));
+    console.log('Regeneration note posted to Kommo');
+  } catch (error) {
+    console.error('Error adding regeneration note:', error.message);
+  }
+}
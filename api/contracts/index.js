@@ -0,0 +1,65 @@
+/**
+ * Contract Registry Endpoint
+ *
+ * Lists the contracts recorded in the registry (see lib/contract-registry.js)
+ *
+ * Usage (with `Authorization: Bearer ADMIN_TOKEN`):
+ * - GET /api/contracts                                  Newest contracts first
+ * - GET /api/contracts?status=sent,viewed               Only contracts with one of these statuses
+ * - GET /api/contracts?from=2025-03-01&to=2025-03-31    Created in a date range (both ends included)
+ * - GET /api/contracts?lead_id=123456                   Contracts of a lead
+ * - GET /api/contracts?limit=20&offset=40               Pagination (default limit 50, at most 500)
+ */
+
+const { STATUSES, listContracts } = require('../../lib/contract-registry');
+const { isAdminRequest } = require('../../lib/admin-auth');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Accepted date filters: a day or a full ISO timestamp
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+
+module.exports = async (req, res) => {
+  // Only accept GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { status, lead_id, from, to } = req.query;
+    const statuses = status ? String(status).split(',').map(item => item.trim()) : [];
+
+    const invalidStatus = statuses.find(item => !STATUSES.includes(item));
+    if (invalidStatus) {
+      return res.status(400).json({ error: `Invalid status "${invalidStatus}". Must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const invalidDate = [from, to].find(date => date && !DATE_PATTERN.test(date));
+    if (invalidDate) {
+      return res.status(400).json({ error: `Invalid date "${invalidDate}", use YYYY-MM-DD or an ISO timestamp` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const contracts = await listContracts({ statuses, leadId: lead_id || null, from: from || null, to: to || null });
+
+    return res.status(200).json({
+      total: contracts.length,
+      limit,
+      offset,
+      contracts: contracts.slice(offset, offset + limit),
+    });
+  } catch (error) {
+    console.error('Error listing contracts:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Signature Reminder Cron Endpoint
+ *
+ * Called by the Vercel cron (see vercel.json) once a day to remind the signers of the
+ * contracts still waiting for signatures and to expire the ones past their deadline
+ * (see lib/signature-reminders.js)
+ *
+ * Usage: GET /api/cron/reminders with `Authorization: Bearer CRON_SECRET` (or the admin token)
+ */
+
+const { processPendingSignatures } = require('../../lib/signature-reminders');
+const { isCronRequest } = require('../../lib/admin-auth');
+
+module.exports = async (req, res) => {
+  // Vercel cron jobs use GET, POST is accepted for manual runs
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { due, processed, results } = await processPendingSignatures();
+
+    return res.status(200).json({
+      success: true,
+      due,
+      processed,
+      results,
+    });
+  } catch (error) {
+    console.error('Error processing signature reminders:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
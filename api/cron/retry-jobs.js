@@ -0,0 +1,55 @@
+/**
+ * Retry Cron Endpoint
+ *
+ * Called by the Vercel cron (see vercel.json) to retry the failed contract runs
+ * whose next attempt is due. Each job resumes from the step that failed.
+ *
+ * Usage: GET /api/cron/retry-jobs with `Authorization: Bearer CRON_SECRET` (or the admin token)
+ */
+
+const { getDueJobs } = require('../../lib/job-queue');
+const { retryJob } = require('../../lib/contract-service');
+const { isCronRequest } = require('../../lib/admin-auth');
+const settings = require('../../config/settings');
+
+module.exports = async (req, res) => {
+  // Vercel cron jobs use GET, POST is accepted for manual runs
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const jobs = await getDueJobs();
+    console.log(`${jobs.length} retry job(s) due`);
+
+    const startedAt = Date.now();
+    const results = [];
+
+    for (const job of jobs) {
+      // Leave the rest for the next run instead of hitting the function timeout
+      if (Date.now() - startedAt > settings.retry.timeBudget * 1000) {
+        console.log('Time budget exhausted, leaving the remaining jobs for the next run');
+        break;
+      }
+
+      results.push(await retryJob(job));
+    }
+
+    return res.status(200).json({
+      success: true,
+      due: jobs.length,
+      processed: results.length,
+      results,
+    });
+  } catch (error) {
+    console.error('Error retrying jobs:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
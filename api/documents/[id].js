@@ -0,0 +1,55 @@
+/**
+ * Rendered Document Endpoint
+ *
+ * Serves the contracts rendered from .docx templates (see lib/docx-renderer.js)
+ * The link saved to the lead carries the document key; admins can also use ADMIN_TOKEN
+ *
+ * Usage:
+ * - GET /api/documents/DOCUMENT_ID?key=KEY               PDF
+ * - GET /api/documents/DOCUMENT_ID?key=KEY&format=docx   Filled .docx
+ */
+
+const { getStore } = require('../../lib/store');
+const { createRenderer } = require('../../lib/renderer');
+const { safeEqual } = require('../../lib/http-utils');
+const { isAdminRequest } = require('../../lib/admin-auth');
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+module.exports = async (req, res) => {
+  // Only accept GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id, key, format = 'pdf' } = req.query;
+
+    if (!CONTENT_TYPES[format]) {
+      return res.status(400).json({ error: 'Invalid format, use pdf or docx' });
+    }
+
+    const record = await getStore().get(`document:${id}`);
+
+    // Same answer for unknown documents and wrong keys, so IDs can't be probed
+    if (!record || !(safeEqual(key, record.key) || isAdminRequest(req))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const file = await createRenderer('docx').readFile(record, format);
+    const fileName = `${record.name.replace(/["\\/]/g, '')}.${format}`;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    return res.status(200).send(file);
+  } catch (error) {
+    console.error('Error serving document:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
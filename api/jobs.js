@@ -0,0 +1,73 @@
+/**
+ * Retry Jobs Admin Endpoint
+ *
+ * Inspect the retry queue and replay dead jobs by hand
+ *
+ * Usage (with `Authorization: Bearer ADMIN_TOKEN`):
+ * - GET /api/jobs?status=dead         List jobs (pending, done or dead; all when omitted)
+ * - GET /api/jobs?id=...              Get a single job with its failure history
+ * - POST /api/jobs?id=...             Replay a job now, resuming from the step that failed
+ */
+
+const { getJob, listJobs, replayJob } = require('../lib/job-queue');
+const { retryJob } = require('../lib/contract-service');
+const { isAdminRequest } = require('../lib/admin-auth');
+
+const STATUSES = ['pending', 'done', 'dead'];
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { id, status } = req.query;
+
+    if (req.method === 'GET') {
+      if (id) {
+        const job = await getJob(id);
+        return job
+          ? res.status(200).json({ job })
+          : res.status(404).json({ error: 'Job not found' });
+      }
+
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Must be one of: ${STATUSES.join(', ')}` });
+      }
+
+      const jobs = await listJobs(status || null);
+      return res.status(200).json({ total: jobs.length, jobs });
+    }
+
+    if (!id) {
+      return res.status(400).json({
+        error: 'Missing id parameter',
+        usage: 'POST /api/jobs?id=JOB_ID',
+      });
+    }
+
+    const job = await getJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status === 'done') {
+      return res.status(409).json({ error: 'Job already completed' });
+    }
+
+    const replayed = await replayJob(id);
+    const result = await retryJob(replayed);
+
+    return res.status(200).json({ success: result.outcome === 'done', ...result });
+  } catch (error) {
+    console.error('Error handling jobs request:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
@@ -79,7 +79,7 @@ module.exports = async (req, res) => {
         type: f.type,
         code: f.code,
       })),
-      hint: 'Use the field IDs from customFieldsInLead to configure config/field-mapping.js',
+      hint: 'Use the field IDs from customFieldsInLead to configure config/contract-config.json (or PUT /api/config)',
     });
 
   } catch (error) {
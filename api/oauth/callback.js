@@ -0,0 +1,71 @@
+/**
+ * Kommo OAuth Callback
+ *
+ * Kommo redirects here after the integration is installed or re-authorized
+ * Exchanges the authorization code for access and refresh tokens and stores them
+ *
+ * Usage: GET /api/oauth/callback?code=...&referer=yourcompany.kommo.com&state=...
+ */
+
+const { exchangeAuthorizationCode, isOAuthConfigured } = require('../../lib/kommo-oauth');
+const { safeEqual } = require('../../lib/http-utils');
+const settings = require('../../config/settings');
+
+module.exports = async (req, res) => {
+  // Only accept GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { code, referer, state, error } = req.query;
+
+    if (error) {
+      console.warn('Kommo OAuth authorization was denied:', error);
+      return res.status(400).json({ error: `Authorization denied: ${error}` });
+    }
+
+    if (!isOAuthConfigured()) {
+      return res.status(500).json({ error: 'KOMMO_CLIENT_ID and KOMMO_CLIENT_SECRET must be set in environment variables' });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Missing code parameter',
+        usage: 'GET /api/oauth/callback?code=...&referer=yourcompany.kommo.com',
+      });
+    }
+
+    if (settings.kommo.oauth.state && !safeEqual(state, settings.kommo.oauth.state)) {
+      console.warn('Rejected Kommo OAuth callback with an invalid state');
+      return res.status(401).json({ error: 'Invalid state' });
+    }
+
+    // Kommo sends the account domain as referer, the configured domain is used otherwise
+    const baseURL = referer ? `https://${referer}` : process.env.KOMMO_DOMAIN;
+
+    if (process.env.KOMMO_DOMAIN && new URL(baseURL).host !== new URL(process.env.KOMMO_DOMAIN).host) {
+      console.warn(`Rejected Kommo OAuth callback from unexpected account ${referer}`);
+      return res.status(403).json({ error: 'Unexpected Kommo account' });
+    }
+
+    console.log(`Exchanging Kommo authorization code for ${baseURL}...`);
+    const tokens = await exchangeAuthorizationCode(code, baseURL);
+
+    console.log('Kommo OAuth tokens stored');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Kommo integration authorized',
+      expiresAt: new Date(tokens.expiresAt).toISOString(),
+    });
+
+  } catch (error) {
+    console.error('Error handling Kommo OAuth callback:', error);
+
+    return res.status(500).json({
+      error: error.message,
+      details: error.response?.data || null,
+    });
+  }
+};
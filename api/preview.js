@@ -0,0 +1,155 @@
+/**
+ * Contract Preview Endpoint
+ *
+ * Dry run of the contract generation for a lead: runs the same mapping, formatting
+ * and validation as the webhook and returns what would go into the contract.
+ * Nothing is written to Kommo, shared or sent for signature.
+ *
+ * Usage (with `Authorization: Bearer ADMIN_TOKEN`):
+ * - GET /api/preview?lead_id=123456                     Resolved values, sections and warnings
+ * - GET /api/preview?lead_id=123456&template=software   Preview a template from config/contract-config.json by name
+ * - GET /api/preview?lead_id=123456&format=pdf          PDF rendered from a temporary copy
+ */
+
+const KommoClient = require('../lib/kommo');
+const { createRenderer } = require('../lib/renderer');
+const { findRuleForLead } = require('../lib/trigger-rules');
+const { getTemplateByName } = require('../lib/template-router');
+const { prepareContract } = require('../lib/contract-service');
+const { isAdminRequest } = require('../lib/admin-auth');
+
+module.exports = async (req, res) => {
+  // Only accept GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { lead_id, rule: ruleName, template: templateName, format } = req.query;
+
+    if (!lead_id) {
+      return res.status(400).json({
+        error: 'Missing lead_id parameter',
+        usage: 'GET /api/preview?lead_id=123456',
+      });
+    }
+
+    let template = null;
+    if (templateName) {
+      template = await getTemplateByName(templateName);
+      if (!template) {
+        return res.status(400).json({ error: `Template "${templateName}" not found` });
+      }
+    }
+
+    const kommo = new KommoClient();
+    const renderer = createRenderer();
+
+    console.log(`Previewing contract for lead ${lead_id}...`);
+    const leadData = await kommo.getLead(lead_id);
+    const lead = leadData._embedded?.leads?.[0] || leadData;
+
+    const rule = findRuleForLead(lead, ruleName);
+    if (!rule) {
+      return res.status(400).json({
+        error: ruleName
+          ? `Trigger rule "${ruleName}" not found`
+          : 'No trigger rule that generates contracts matches this lead, pass one in "rule"',
+      });
+    }
+
+    // Validate as if the document were generated, whatever the rule says
+    const { context, fields, problems } = await prepareContract({
+      kommo,
+      renderer,
+      leadId: lead.id,
+      lead,
+      rule: { ...rule, actions: { ...rule.actions, generate: true } },
+      pipelineId: lead.pipeline_id,
+      statusId: lead.status_id,
+      template,
+    });
+
+    if (format === 'pdf') {
+      const pdf = await renderer.renderPreview({
+        template: context.template,
+        title: context.documentTitle,
+        replacements: context.replacements,
+        sections: context.sections,
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="preview-${lead.id}.pdf"`);
+      return res.status(200).send(pdf);
+    }
+
+    return res.status(200).json({
+      lead: {
+        id: lead.id,
+        name: lead.name,
+        status_id: lead.status_id,
+        pipeline_id: lead.pipeline_id,
+      },
+      rule: rule.name,
+      template: {
+        name: context.template.name,
+        templateDocId: context.template.templateDocId,
+        templateFile: context.template.templateFile,
+      },
+      documentTitle: context.documentTitle,
+      signers: context.signers,
+      sortable: context.sortable,
+      replacements: context.replacements,
+      fields: fields.map(field => ({
+        placeholder: field.placeholder,
+        source: field.source,
+        rawValue: field.rawValue,
+        value: field.value,
+      })),
+      sections: context.sections,
+      valid: problems.length === 0,
+      validationErrors: problems,
+      warnings: getWarnings(renderer, context, fields),
+    });
+  } catch (error) {
+    console.error('Error previewing contract:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List what looks wrong in the preview without blocking the contract
+ * @param {Object} renderer - Contract renderer (see lib/renderer.js)
+ * @param {Object} context - Pipeline context from prepareContract
+ * @param {Array<Object>} fields - Resolved fields from prepareContract
+ * @returns {Array<string>} Warnings
+ */
+function getWarnings(renderer, context, fields) {
+  const warnings = [];
+
+  const templateProblem = renderer.getTemplateProblem(context.template);
+  if (templateProblem) {
+    warnings.push(templateProblem);
+  }
+
+  for (const field of fields) {
+    if (field.formatError) {
+      warnings.push(`${field.placeholder}: ${field.formatError}, the raw value is used`);
+    } else if (field.rawValue === null && !field.required) {
+      warnings.push(`${field.placeholder} is empty and will be left blank`);
+    }
+  }
+
+  if (context.signers.length === 0) {
+    warnings.push('No signers resolved, the contract can\'t be sent for signature');
+  }
+
+  return warnings;
+}
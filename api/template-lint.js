@@ -0,0 +1,94 @@
+/**
+ * Template Lint Endpoint
+ *
+ * Reads each template document through the contract renderer and compares its [...] placeholders
+ * with the field mapping of the template (see lib/template-lint.js)
+ *
+ * Usage (with `Authorization: Bearer ADMIN_TOKEN`):
+ * - GET /api/template-lint                    Lint the default template and every configured template
+ * - GET /api/template-lint?template=software  Lint one template by name
+ */
+
+const { createRenderer } = require('../lib/renderer');
+const { getContractConfig } = require('../lib/contract-config');
+const { getTemplateByName } = require('../lib/template-router');
+const { lintTemplate } = require('../lib/template-lint');
+const { isAdminRequest } = require('../lib/admin-auth');
+
+module.exports = async (req, res) => {
+  // Only accept GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { template: templateName } = req.query;
+    let names;
+
+    if (templateName) {
+      names = [templateName];
+    } else {
+      const { config } = await getContractConfig();
+      names = ['default', ...(config.templates || []).map(template => template.name)];
+    }
+
+    const renderer = createRenderer();
+    const templates = [];
+
+    for (const name of names) {
+      templates.push(await lintByName(renderer, name));
+    }
+
+    if (templateName && templates[0].error === 'not found') {
+      return res.status(404).json({ error: `Template "${templateName}" not found` });
+    }
+
+    return res.status(200).json({
+      valid: templates.every(template => template.valid),
+      templates,
+    });
+  } catch (error) {
+    console.error('Error linting templates:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lint one template, reporting problems reading it instead of failing the whole request
+ * @param {Object} renderer - Contract renderer (see lib/renderer.js)
+ * @param {string} name - Template name
+ * @returns {Promise<Object>} { name, templateDocId, templateFile, placeholders, unmapped, unused, nearMisses, valid } or { name, valid: false, error }
+ */
+async function lintByName(renderer, name) {
+  try {
+    const template = await getTemplateByName(name);
+    if (!template) {
+      return { name, valid: false, error: 'not found' };
+    }
+
+    const problem = renderer.getTemplateProblem(template);
+    if (problem) {
+      return { name, valid: false, error: problem };
+    }
+
+    console.log(`Linting template "${name}"...`);
+    const text = await renderer.getTemplateText(template);
+
+    return {
+      name,
+      templateDocId: template.templateDocId,
+      templateFile: template.templateFile,
+      ...lintTemplate(text, template.fieldMapping),
+    };
+  } catch (error) {
+    console.error(`Error linting template "${name}":`, error.message);
+    return { name, valid: false, error: error.message };
+  }
+}
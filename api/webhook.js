@@ -6,9 +6,20 @@
  */
 
 const KommoClient = require('../lib/kommo');
-const GoogleDocsClient = require('../lib/google-docs');
-const AutentiqueClient = require('../lib/autentique');
-const fieldMapping = require('../config/field-mapping');
+const { createRenderer } = require('../lib/renderer');
+const { findCandidateRules, findMatchingRule } = require('../lib/trigger-rules');
+const { processLead, saveResult } = require('../lib/contract-service');
+const { authenticateKommoWebhook } = require('../lib/webhook-auth');
+const { getClientIp } = require('../lib/http-utils');
+const { parseLeadEvents } = require('../lib/webhook-payload');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const {
+  getIdempotencyKey,
+  acquireLock,
+  releaseLock,
+  getProcessedRecord,
+  recordEvent,
+} = require('../lib/idempotency');
 const settings = require('../config/settings');
 
 /**
@@ -20,225 +31,187 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Reject webhooks that don't come from our Kommo account before doing anything else
+  const auth = authenticateKommoWebhook(req);
+  if (!auth.ok) {
+    console.warn(`Rejected Kommo webhook from ${getClientIp(req)}: ${auth.reason}`);
+    return res.status(auth.status).json({ error: auth.status === 401 ? 'Unauthorized' : 'Forbidden' });
+  }
+
   try {
     console.log('Received webhook from Kommo');
     console.log('Payload:', JSON.stringify(req.body, null, 2));
 
-    // Extract lead data from webhook
-    const webhookData = req.body;
-
-    // Kommo sends different webhook structures, handle the most common
-    const leadId = webhookData.leads?.status?.[0]?.id ||
-                   webhookData.leads?.add?.[0]?.id ||
-                   webhookData['leads[status][0][id]'];
-
-    const newStatusId = webhookData.leads?.status?.[0]?.status_id ||
-                        webhookData['leads[status][0][status_id]'];
-
-    const newPipelineId = webhookData.leads?.status?.[0]?.pipeline_id ||
-                          webhookData['leads[status][0][pipeline_id]'];
+    // Kommo batches several leads in one webhook, handle every one of them
+    const events = parseLeadEvents(req.body);
 
-    if (!leadId) {
+    if (events.length === 0) {
       console.log('No lead ID found in webhook, ignoring');
       return res.status(200).json({ message: 'No lead ID in webhook' });
     }
 
-    console.log(`Lead ID: ${leadId}, Status: ${newStatusId}, Pipeline: ${newPipelineId}`);
+    console.log(`Webhook has ${events.length} lead event(s)`);
 
-    // Check if this webhook matches our trigger conditions
-    if (!shouldTrigger(newPipelineId, newStatusId)) {
-      console.log('Webhook does not match trigger conditions, ignoring');
-      return res.status(200).json({ message: 'Trigger conditions not met' });
-    }
-
-    console.log('Trigger conditions met, processing lead...');
+    // Clients are shared by the whole batch and only created if some lead needs them
+    let clients = null;
+    const getClients = () => {
+      clients = clients || { kommo: new KommoClient(), renderer: createRenderer() };
+      return clients;
+    };
 
-    // Initialize clients
-    const kommo = new KommoClient();
-    const googleDocs = new GoogleDocsClient();
+    const results = await mapWithConcurrency(events, settings.trigger.batchConcurrency, async event => {
+      try {
+        return await handleLeadEvent(event, getClients);
+      } catch (error) {
+        console.error(`Error processing lead ${event.leadId}:`, error);
+        return { success: false, leadId: event.leadId, error: error.message };
+      }
+    });
 
-    // Fetch full lead details
-    console.log('Fetching lead details...');
-    const leadData = await kommo.getLead(leadId);
-    const lead = leadData._embedded?.leads?.[0] || leadData;
+    return res.status(200).json({
+      success: results.every(result => result.success !== false),
+      leads: results.length,
+      results,
+    });
 
-    console.log('Lead fetched:', lead.name);
+  } catch (error) {
+    console.error('Error processing webhook:', error);
 
-    // Check if contract already exists (check custom field 768137)
-    const existingContractLink = kommo.getCustomFieldValue(lead, settings.kommo.linkFieldId);
-    if (existingContractLink) {
-      console.log('Contract already exists for this lead:', existingContractLink);
-      return res.status(200).json({
-        success: true,
-        message: 'Contract already exists, skipping creation',
-        leadId,
-        existingLink: existingContractLink,
-      });
-    }
+    // Return error response but with 200 status to prevent Kommo from retrying
+    return res.status(200).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
 
-    console.log('No existing contract found, creating new one...');
+/**
+ * Apply the trigger rules to one lead of the webhook and process it
+ * @param {Object} event - Lead event from parseLeadEvents
+ * @param {Function} getClients - Returns the shared { kommo, renderer } clients
+ * @returns {Promise<Object>} Result for the lead
+ */
+async function handleLeadEvent({ leadId, statusId: newStatusId, pipelineId: newPipelineId }, getClients) {
+  console.log(`Lead ID: ${leadId}, Status: ${newStatusId}, Pipeline: ${newPipelineId}`);
+
+  // Check if any trigger rule matches this pipeline/status
+  const candidateRules = findCandidateRules({ pipelineId: newPipelineId, statusId: newStatusId });
+  if (candidateRules.length === 0) {
+    console.log(`Lead ${leadId} does not match any trigger rule, ignoring`);
+    return { leadId, message: 'Trigger conditions not met' };
+  }
 
-    // Extract custom field values and build replacements
-    const replacements = {};
+  const { kommo, renderer } = getClients();
 
-    for (const [fieldId, placeholder] of Object.entries(fieldMapping)) {
-      const value = kommo.getCustomFieldValue(lead, fieldId);
-      replacements[placeholder] = value || '';
-      console.log(`${placeholder} = "${value}"`);
-    }
+  // Fetch full lead details
+  console.log(`Fetching lead ${leadId} details...`);
+  const leadData = await kommo.getLead(leadId);
+  const lead = leadData._embedded?.leads?.[0] || leadData;
 
-    // Generate document title using "Nome Completo" field
-    const nomeCompleto = kommo.getCustomFieldValue(lead, '764177') || lead.name;
-    const date = new Date().toISOString().split('T')[0];
-    const documentTitle = `Contrato - ${nomeCompleto} - ${date}`;
-
-    // Create contract document
-    console.log('Creating contract document...');
-    const document = await googleDocs.createContract(
-      settings.googleDrive.templateDocId,
-      documentTitle,
-      replacements,
-      settings.googleDrive.folderId,
-      settings.googleDrive.shareWith,
-      settings.googleDrive.shareRole
-    );
-
-    console.log('Document created:', document.link);
-
-    // Update custom field with document link immediately to prevent duplicate contracts
-    if (settings.kommo.linkFieldId) {
-      console.log(`Updating custom field ${settings.kommo.linkFieldId} with document link...`);
-      try {
-        await kommo.updateLeadCustomField(leadId, settings.kommo.linkFieldId, document.link);
-        console.log('Custom field updated successfully - second webhook will now skip this lead');
-      } catch (error) {
-        console.error('Error updating custom field:', error.message);
-        // Continue even if field update fails
-      }
-    }
+  console.log('Lead fetched:', lead.name);
 
-    // Send contract to Autentique if enabled
-    let autentiqueDocument = null;
-    if (settings.autentique.enabled) {
-      try {
-        console.log('Autentique integration is enabled, sending contract for signature...');
-
-        // Get lead email from custom field 768253
-        const leadContactEmail = kommo.getCustomFieldValue(lead, '768253');
-
-        if (!leadContactEmail) {
-          console.warn('No email found in custom field 768253, skipping Autentique');
-          console.warn('Lead custom fields:', JSON.stringify(lead.custom_fields_values, null, 2));
-        } else {
-          console.log(`Found lead contact email: ${leadContactEmail}`);
-
-          // Initialize Autentique client
-          const autentique = new AutentiqueClient();
-
-          // Send contract for signature
-          autentiqueDocument = await autentique.sendContractForSignature(
-            document.id,
-            documentTitle,
-            leadContactEmail,
-            nomeCompleto
-          );
-
-          console.log('Contract sent to Autentique:', autentiqueDocument.primaryLink);
-
-          // Update Autentique link custom field if configured
-          if (settings.kommo.autentiqueLinkFieldId) {
-            console.log(`Updating custom field ${settings.kommo.autentiqueLinkFieldId} with Autentique link...`);
-            try {
-              await kommo.updateLeadCustomField(
-                leadId,
-                settings.kommo.autentiqueLinkFieldId,
-                autentiqueDocument.primaryLink
-              );
-              console.log('Autentique link custom field updated successfully');
-            } catch (error) {
-              console.error('Error updating Autentique link custom field:', error.message);
-              // Continue even if field update fails
-            }
-          }
-        }
-      } catch (error) {
-        console.error('Error sending contract to Autentique:', error.message);
-        // Continue even if Autentique fails - at least we have the Google Doc
-      }
-    }
+  // Field conditions can only be checked now that we have the lead
+  const rule = findMatchingRule(candidateRules, { lead, pipelineId: newPipelineId, statusId: newStatusId });
+  if (!rule) {
+    console.log(`Lead ${leadId} does not meet the field conditions of any trigger rule, ignoring`);
+    return { leadId, message: 'Trigger conditions not met' };
+  }
 
-    // Post link back to Kommo as note if enabled
-    if (settings.kommo.postLinkToLead) {
-      console.log('Posting document link to Kommo as note...');
-      try {
-        let noteText = settings.kommo.noteTemplate.replace('{link}', document.link);
+  console.log(`Trigger rule "${rule.name}" matched, processing lead ${leadId}...`);
 
-        // Add Autentique link to note if available
-        if (autentiqueDocument?.primaryLink) {
-          noteText += `\nAutentique: ${autentiqueDocument.primaryLink}`;
-        }
+  // Skip leads that were already processed for this rule, and leads being processed right now
+  const idempotencyKey = getIdempotencyKey(leadId, rule.name);
+  const eventInfo = { rule: rule.name, pipelineId: newPipelineId, statusId: newStatusId };
 
-        await kommo.addNoteToLead(leadId, noteText);
-        console.log('Note posted to Kommo');
-      } catch (error) {
-        console.error('Error adding note:', error.message);
-        // Continue even if note fails
-      }
-    }
+  const processed = await getProcessedRecord(idempotencyKey);
+  if (processed) {
+    return skipProcessedLead(leadId, eventInfo, processed);
+  }
 
-    // Return success response
-    const response = {
+  const lockToken = await acquireLock(idempotencyKey);
+  if (!lockToken) {
+    console.log(`Lead ${leadId} is already being processed for rule "${rule.name}", skipping`);
+    await recordEvent(leadId, { ...eventInfo, outcome: 'locked' });
+    return {
       success: true,
+      message: 'Lead is already being processed, skipping',
       leadId,
-      documentId: document.id,
-      documentLink: document.link,
+      rule: rule.name,
     };
+  }
 
-    // Add Autentique info to response if available
-    if (autentiqueDocument) {
-      response.autentique = {
-        documentId: autentiqueDocument.id,
-        primaryLink: autentiqueDocument.primaryLink,
-        signatures: autentiqueDocument.signatures,
+  try {
+    // Another delivery may have processed the lead between the check above and taking the lock
+    const processedMeanwhile = await getProcessedRecord(idempotencyKey);
+    if (processedMeanwhile) {
+      return await skipProcessedLead(leadId, eventInfo, processedMeanwhile);
+    }
+
+    // Fallback for leads whose processed record is missing (processed before the store existed, or lost):
+    // a lead that already has a contract in the link field never gets a second one from the webhook
+    const existingLink = kommo.getCustomFieldValue(lead, settings.kommo.linkFieldId);
+    if (existingLink && rule.actions?.generate) {
+      console.log(`Lead ${leadId} already has a contract in custom field ${settings.kommo.linkFieldId}, skipping`);
+      await recordEvent(leadId, { ...eventInfo, outcome: 'existing_link' });
+      return {
+        success: true,
+        message: 'Contract already exists, skipping creation',
+        leadId,
+        rule: rule.name,
+        existingLink,
       };
     }
 
-    return res.status(200).json(response);
+    const response = await processLead({
+      kommo,
+      renderer,
+      leadId,
+      lead,
+      rule,
+      pipelineId: newPipelineId,
+      statusId: newStatusId,
+    });
 
-  } catch (error) {
-    console.error('Error processing webhook:', error);
+    // Invalid leads are not marked as processed so they run again once fixed
+    if (response.validationErrors) {
+      await recordEvent(leadId, { ...eventInfo, outcome: 'invalid', validationErrors: response.validationErrors });
+      return response;
+    }
 
-    // Return error response but with 200 status to prevent Kommo from retrying
-    return res.status(200).json({
-      success: false,
-      error: error.message,
+    // Failed runs are marked as processed too: the retry job takes over from here
+    await saveResult(response);
+    await recordEvent(leadId, {
+      ...eventInfo,
+      outcome: response.retryJobId ? 'queued' : 'processed',
+      documentId: response.documentId,
+      retryJobId: response.retryJobId || null,
     });
+
+    return response;
+  } catch (error) {
+    await recordEvent(leadId, { ...eventInfo, outcome: 'failed', error: error.message });
+    throw error;
+  } finally {
+    await releaseLock(idempotencyKey, lockToken);
   }
-};
+}
 
 /**
- * Check if webhook should trigger contract creation
- * @param {number} pipelineId - Pipeline ID from webhook
- * @param {number} statusId - Status ID from webhook
- * @returns {boolean} True if should trigger
+ * Skip a lead that was already processed for the rule
+ * @param {number} leadId - Lead ID
+ * @param {Object} eventInfo - { rule, pipelineId, statusId } of the webhook
+ * @param {Object} processed - Processed record from getProcessedRecord
+ * @returns {Promise<Object>} Result for the lead
  */
-function shouldTrigger(pipelineId, statusId) {
-  const triggerConfig = settings.trigger;
-
-  // If no trigger configuration, trigger on all webhooks
-  if (!triggerConfig.pipelineId && !triggerConfig.statusId) {
-    return true;
-  }
-
-  // Check pipeline match
-  if (triggerConfig.pipelineId && parseInt(pipelineId) !== parseInt(triggerConfig.pipelineId)) {
-    return false;
-  }
-
-  // Check status match
-  if (triggerConfig.statusId && parseInt(statusId) !== parseInt(triggerConfig.statusId)) {
-    return false;
-  }
-
-  return true;
+async function skipProcessedLead(leadId, eventInfo, processed) {
+  console.log(`Lead ${leadId} already processed for rule "${eventInfo.rule}" at ${processed.processedAt}`);
+  await recordEvent(leadId, { ...eventInfo, outcome: 'duplicate' });
+
+  return {
+    success: true,
+    message: 'Lead already processed for this rule, skipping',
+    leadId,
+    rule: eventInfo.rule,
+    existingLink: processed.documentLink || null,
+  };
 }
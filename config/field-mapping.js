@@ -1,14 +0,0 @@
-/**
- * Field Mapping Configuration
- *
- * Maps Kommo custom field IDs to Google Docs placeholders
- * The placeholders in your Google Docs template should match exactly (case-sensitive)
- */
-
-module.exports = {
-  // Kommo Custom Field ID: Google Docs Placeholder
-  '764177': '[Nome Completo]',  // Full Name
-  '764179': '[RG]',                // RG (Identity Document)
-  '764181': '[CPF]',              // CPF (Tax ID)
-  '764183': '[Endereço]',          // Address
-};
@@ -0,0 +1,21 @@
+/**
+ * Conditional Sections Configuration
+ *
+ * Decides which [SE name]...[FIM SE] blocks are kept in the contract
+ * Templates in config/contract-config.json can add or override sections with their own `sections`
+ *
+ * Each section has a condition on a mapping source (see lib/lead-context.js):
+ * - { source, values }: kept when the value is one of the values (enum label)
+ * - { source, notEmpty: true }: kept when the value is set
+ * - { source, empty: true }: kept when the value is not set
+ * - { source }: kept when the value is set and not false (checkbox fields)
+ *
+ * Use [SE NÃO name]...[FIM SE] in the template for the opposite case
+ */
+
+module.exports = {
+  // Section Name: Condition
+  // parcelado: { source: '770030', values: ['Parcelado'] },  // Installment payment
+  // avalista: { source: '770040', notEmpty: true },          // Guarantor
+  // pj: { source: 'company.name', notEmpty: true },          // Company client
+};
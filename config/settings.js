@@ -4,6 +4,16 @@
  * Configure trigger conditions, Google Drive settings, and sharing options
  */
 
+// Mapping sources for the client data (see lib/lead-context.js), used by `client` and `autentique.signers`
+// KOMMO_CLIENT_EMAIL_SOURCE / KOMMO_CLIENT_PHONE_SOURCE override the email and phone sources (comma-separated)
+const clientNameSources = ['764177', 'contact.name', 'lead.name'];
+const clientEmailSources = process.env.KOMMO_CLIENT_EMAIL_SOURCE
+  ? process.env.KOMMO_CLIENT_EMAIL_SOURCE.split(',').map(source => source.trim())
+  : ['768253', 'contact.EMAIL'];
+const clientPhoneSources = process.env.KOMMO_CLIENT_PHONE_SOURCE
+  ? process.env.KOMMO_CLIENT_PHONE_SOURCE.split(',').map(source => source.trim())
+  : ['contact.PHONE'];
+
 module.exports = {
   // Kommo Pipeline and Status Configuration
   // When a lead moves to this pipeline/status, the webhook will trigger
@@ -14,6 +24,104 @@ module.exports = {
     // Leave empty to trigger on any status, or specify status ID
     // To find status IDs, use the /api/list-fields helper endpoint
     statusId: process.env.KOMMO_TRIGGER_STATUS_ID || null,
+
+    // How many leads of a batched webhook are processed at the same time
+    batchConcurrency: parseInt(process.env.KOMMO_WEBHOOK_CONCURRENCY) || 3,
+  },
+
+  // Kommo Webhook Security
+  // Requests to /api/webhook that fail any configured check are rejected
+  webhookSecurity: {
+    // Shared secret expected in the URL (?token=...) or the X-Webhook-Token header
+    // Register the webhook in Kommo as https://your-vercel-url.vercel.app/api/webhook?token=SECRET
+    token: process.env.KOMMO_WEBHOOK_TOKEN || null,
+
+    // Kommo account IDs allowed to send webhooks (comma-separated, optional)
+    allowedAccountIds: process.env.KOMMO_ALLOWED_ACCOUNT_IDS
+      ? process.env.KOMMO_ALLOWED_ACCOUNT_IDS.split(',').map(id => id.trim())
+      : [],
+
+    // Kommo account subdomains allowed to send webhooks (comma-separated, optional)
+    allowedSubdomains: process.env.KOMMO_ALLOWED_SUBDOMAINS
+      ? process.env.KOMMO_ALLOWED_SUBDOMAINS.split(',').map(subdomain => subdomain.trim().toLowerCase())
+      : [],
+
+    // IP addresses or IPv4 CIDR ranges allowed to send webhooks (comma-separated, optional)
+    allowedIps: process.env.KOMMO_WEBHOOK_ALLOWED_IPS
+      ? process.env.KOMMO_WEBHOOK_ALLOWED_IPS.split(',').map(ip => ip.trim())
+      : [],
+  },
+
+  // Storage Configuration
+  // Persistent state (idempotency records and locks) lives in this store
+  storage: {
+    // 'kv' (Vercel KV / Upstash Redis, recommended in production) or 'file' (local development)
+    // On Vercel the file store must be picked explicitly, see lib/store.js
+    driver: process.env.STORAGE_DRIVER || (process.env.KV_REST_API_URL ? 'kv' : 'file'),
+
+    // JSON file used by the 'file' driver (Vercel only allows writing to /tmp)
+    filePath: process.env.STORAGE_FILE_PATH || (process.env.VERCEL ? '/tmp/contract-store.json' : '.data/store.json'),
+
+    // REST credentials used by the 'kv' driver (set automatically by Vercel KV)
+    kvUrl: process.env.KV_REST_API_URL || null,
+    kvToken: process.env.KV_REST_API_TOKEN || null,
+
+    // Prefix for every key, useful when the KV database is shared
+    keyPrefix: process.env.STORAGE_KEY_PREFIX || 'contracts:',
+  },
+
+  // Blob Storage
+  // Files of the contracts rendered from .docx templates (see lib/blob-storage.js)
+  blobStorage: {
+    // 'vercel-blob' (Vercel Blob, required on Vercel) or 'file' (local development)
+    driver: process.env.BLOB_STORAGE_DRIVER || (process.env.BLOB_READ_WRITE_TOKEN ? 'vercel-blob' : 'file'),
+
+    // Folder used by the 'file' driver
+    directory: process.env.BLOB_STORAGE_DIR || '.data/documents',
+
+    // Read-write token of the Blob store (set automatically by Vercel Blob)
+    token: process.env.BLOB_READ_WRITE_TOKEN || null,
+  },
+
+  // Idempotency Configuration
+  // Each lead is processed at most once per trigger rule
+  idempotency: {
+    // How long a lead stays locked while it is being processed (seconds)
+    // Must be longer than the function timeout in vercel.json
+    lockTtl: parseInt(process.env.IDEMPOTENCY_LOCK_TTL) || 120,
+
+    // How long each processed event is kept for auditing (seconds, default 30 days)
+    eventTtl: parseInt(process.env.IDEMPOTENCY_EVENT_TTL) || 30 * 24 * 60 * 60,
+  },
+
+  // Retry Queue
+  // Failed pipeline steps are queued as jobs and retried by /api/cron/retry-jobs
+  retry: {
+    // Attempts (including the first run) before a job moves to the dead-letter list
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 5,
+
+    // Delay before the first retry (seconds), doubled after every failed attempt
+    baseDelay: parseInt(process.env.RETRY_BASE_DELAY) || 60,
+
+    // Longest delay between two attempts (seconds, default 6 hours)
+    maxDelay: parseInt(process.env.RETRY_MAX_DELAY) || 6 * 60 * 60,
+
+    // How long finished jobs are kept (seconds, default 30 days)
+    jobTtl: parseInt(process.env.RETRY_JOB_TTL) || 30 * 24 * 60 * 60,
+
+    // Stop picking up jobs after this many seconds so the cron run ends before the function timeout
+    timeBudget: parseInt(process.env.RETRY_TIME_BUDGET) || 20,
+  },
+
+  // Admin Access
+  // Protects the admin endpoints (/api/jobs, /api/contracts, /api/preview) and the cron endpoints
+  admin: {
+    // Token expected as `Authorization: Bearer ...` or in the X-Admin-Token header
+    // Admin endpoints are disabled while it is empty
+    token: process.env.ADMIN_TOKEN || null,
+
+    // Secret Vercel sends as `Authorization: Bearer ...` when it calls the cron endpoints
+    cronSecret: process.env.CRON_SECRET || null,
   },
 
   // Google Drive Configuration
@@ -35,6 +143,86 @@ module.exports = {
 
     // Permission role for shared users: 'reader', 'writer', or 'commenter'
     shareRole: process.env.GOOGLE_SHARE_ROLE || 'reader',
+
+    // Folder where replaced contracts are moved when a contract is regenerated (optional)
+    archiveFolderId: process.env.GOOGLE_ARCHIVE_FOLDER_ID || null,
+
+    // Text added before the title of replaced contracts
+    archiveTitlePrefix: process.env.GOOGLE_ARCHIVE_TITLE_PREFIX || '[ARQUIVADO]',
+
+    // Folder for the temporary copies rendered by /api/preview?format=pdf (deleted right after export)
+    // Leave empty to create them next to the template
+    previewFolderId: process.env.GOOGLE_PREVIEW_FOLDER_ID || null,
+  },
+
+  // Contract Renderer
+  // Turns the template into the contract document and its PDF (see lib/renderer.js)
+  renderer: {
+    // 'google' (Google Docs templates, filled in Drive) or 'docx' (local .docx templates, converted with LibreOffice)
+    type: process.env.CONTRACT_RENDERER || 'google',
+
+    // Folder with the .docx templates, relative to the project root
+    templatesDir: process.env.CONTRACT_TEMPLATES_DIR || 'templates',
+
+    // .docx template used when no template rule matches (the docx counterpart of GOOGLE_TEMPLATE_DOC_ID)
+    templateFile: process.env.CONTRACT_TEMPLATE_FILE || null,
+
+    // LibreOffice binary used to convert the filled .docx to PDF
+    libreOfficePath: process.env.LIBREOFFICE_PATH || 'soffice',
+
+    // Seconds before a conversion is abandoned
+    conversionTimeout: parseInt(process.env.LIBREOFFICE_TIMEOUT) || 60,
+
+    // Public URL of this deployment, used in the links of documents rendered from .docx templates
+    // Required by the docx renderer: VERCEL_URL changes with every deployment and is usually behind Deployment Protection
+    publicUrl: (process.env.APP_URL || '').replace(/\/$/, ''),
+  },
+
+  // Client Data
+  // Mapping sources (see lib/lead-context.js) tried in order, the first non-empty value wins
+  client: {
+    // Client name, used in the document title
+    // The client signer is configured in autentique.signers
+    name: clientNameSources,
+  },
+
+  // Contract Configuration
+  // Field mapping and template routing live in config/contract-config.json (see lib/contract-config.js)
+  contractConfig: {
+    // Whether a configuration saved through /api/config replaces the file (needs the kv storage driver)
+    useStore: process.env.CONTRACT_CONFIG_STORE === 'true',
+
+    // How long each function instance keeps the stored configuration before reading it again (seconds)
+    cacheTtl: parseInt(process.env.CONTRACT_CONFIG_CACHE_TTL) || 60,
+  },
+
+  // Validation
+  // Fields are checked before a contract is generated (see `required`/`validate` in config/contract-config.json)
+  validation: {
+    // Whether to post a note listing the problems to the lead
+    postNote: process.env.KOMMO_VALIDATION_POST_NOTE !== 'false',
+
+    // Whether to also create a task for the lead's responsible user
+    createTask: process.env.KOMMO_VALIDATION_CREATE_TASK === 'true',
+
+    // Hours until the task is due
+    taskDeadlineHours: parseInt(process.env.KOMMO_VALIDATION_TASK_DEADLINE_HOURS) || 24,
+  },
+
+  // Leftover Placeholders
+  // Every generated document is scanned for [...] tokens the replacements missed
+  placeholderCheck: {
+    // What to do when tokens are left:
+    // 'block' posts a note and doesn't send the contract for signature,
+    // 'note' only posts a note, 'off' only logs them
+    onLeftover: process.env.PLACEHOLDER_CHECK_MODE || 'note',
+  },
+
+  // Value Formatting
+  // Used by the formatters in lib/formatters.js (see the `format` option in config/contract-config.json)
+  formatting: {
+    // Time zone used for dates in contracts
+    timeZone: process.env.CONTRACT_TIME_ZONE || 'America/Sao_Paulo',
   },
 
   // Kommo Integration Settings
@@ -49,11 +237,30 @@ module.exports = {
     // Note text template (use {link} placeholder)
     noteTemplate: process.env.KOMMO_NOTE_TEMPLATE || 'Contrato criado: {link}',
 
-    // Custom field ID to store the Autentique document link
+    // Custom field ID to store the link of the document in the signature provider (Autentique or ClickSign)
     autentiqueLinkFieldId: process.env.KOMMO_AUTENTIQUE_LINK_FIELD_ID || null,
+
+    // OAuth 2.0 integration (optional, replaces the static KOMMO_ACCESS_TOKEN)
+    // Create an integration in Kommo and set its redirect URL to https://your-vercel-url.vercel.app/api/oauth/callback
+    oauth: {
+      clientId: process.env.KOMMO_CLIENT_ID || null,
+      clientSecret: process.env.KOMMO_CLIENT_SECRET || null,
+      redirectUri: process.env.KOMMO_REDIRECT_URI || null,
+
+      // Value of the `state` parameter expected in the callback (optional)
+      state: process.env.KOMMO_OAUTH_STATE || null,
+    },
+  },
+
+  // E-signature
+  // The provider of a contract can be picked per trigger rule or template (`signatureProvider`, see lib/signature-provider.js)
+  signature: {
+    // Provider used when neither picks one: 'autentique' or 'clicksign'
+    provider: process.env.SIGNATURE_PROVIDER || 'autentique',
   },
 
   // Autentique Configuration
+  // The signers, delivery channels and phone country code below are used by every signature provider
   autentique: {
     // Enable/disable Autentique integration
     enabled: !!process.env.AUTENTIQUE_API_KEY,
@@ -66,5 +273,172 @@ module.exports = {
       name: process.env.AUTENTIQUE_COMPANY_SIGNER_NAME || '',
       email: process.env.AUTENTIQUE_COMPANY_SIGNER_EMAIL || '',
     },
+
+    // How signature requests are delivered: 'email', 'whatsapp' or 'sms'
+    // Channels are tried in order, e.g. 'whatsapp,email' falls back to email when the signer has no mobile phone
+    delivery: (process.env.AUTENTIQUE_DELIVERY || 'email').split(',').map(channel => channel.trim().toLowerCase()),
+
+    // Country code added to phone numbers saved without one
+    phoneCountryCode: process.env.AUTENTIQUE_PHONE_COUNTRY_CODE || '55',
+
+    // Signers of every contract (see lib/signers.js)
+    // - role: Label used in logs and validation messages
+    // - name/email/phone: Fixed value ({ value: '...' }) or mapping sources tried in order (see lib/lead-context.js)
+    // - delivery: Channels for this signer, overrides `delivery` above
+    // - action: 'SIGN', 'WITNESS', 'APPROVE' or 'RECOGNIZE' (default 'SIGN')
+    // - order: Signing order; when any signer has one, each signer is only invited after the previous ones signed
+    // - skipIfEmpty: Leave the signer out when the email and phone are empty instead of blocking the contract
+    signers: [
+      {
+        role: 'Empresa',
+        name: { value: process.env.AUTENTIQUE_COMPANY_SIGNER_NAME || 'Company Representative' },
+        email: { value: process.env.AUTENTIQUE_COMPANY_SIGNER_EMAIL || '' },
+        delivery: ['email'],
+        action: 'SIGN',
+      },
+      {
+        role: 'Cliente',
+        name: clientNameSources,
+        email: clientEmailSources,
+        phone: clientPhoneSources,
+        action: 'SIGN',
+      },
+
+      // Example: second partner of the company, only when configured
+      // {
+      //   role: 'Sócio',
+      //   name: { value: process.env.AUTENTIQUE_PARTNER_SIGNER_NAME || '' },
+      //   email: { value: process.env.AUTENTIQUE_PARTNER_SIGNER_EMAIL || '' },
+      //   action: 'SIGN',
+      //   skipIfEmpty: true,
+      // },
+
+      // Example: guarantor whose data is in other lead fields
+      // {
+      //   role: 'Fiador',
+      //   name: ['770020'],
+      //   email: ['770021'],
+      //   action: 'SIGN',
+      //   skipIfEmpty: true,
+      // },
+
+      // Example: witnesses ("testemunhas") signing after the parties
+      // {
+      //   role: 'Testemunha 1',
+      //   name: { value: 'Maria Souza' },
+      //   email: { value: 'maria@empresa.com.br' },
+      //   action: 'WITNESS',
+      //   order: 3,
+      // },
+    ],
+
+    // Secret of the webhook registered in Autentique (used to verify X-Autentique-Signature)
+    // Leave empty to skip signature verification (not recommended in production)
+    webhookSecret: process.env.AUTENTIQUE_WEBHOOK_SECRET || null,
+  },
+
+  // ClickSign Configuration
+  clicksign: {
+    // Enable/disable the ClickSign integration
+    enabled: !!process.env.CLICKSIGN_ACCESS_TOKEN,
+
+    // API access token created in the ClickSign account settings
+    accessToken: process.env.CLICKSIGN_ACCESS_TOKEN || null,
+
+    // Sandbox mode for testing (uses sandbox.clicksign.com, documents have no legal value)
+    sandbox: process.env.CLICKSIGN_SANDBOX === 'true',
+
+    // Message sent to the signers with the signature request (optional)
+    message: process.env.CLICKSIGN_MESSAGE || null,
+
+    // HMAC SHA256 secret of the webhook registered in ClickSign (used to verify Content-Hmac)
+    // Leave empty to skip signature verification (not recommended in production)
+    webhookSecret: process.env.CLICKSIGN_WEBHOOK_SECRET || null,
+  },
+
+  // Signature Status Tracking
+  // Updated by /api/autentique-webhook and /api/clicksign-webhook when signers view, sign or refuse a contract
+  signatureStatus: {
+    // Custom field ID to store the signature status (optional)
+    fieldId: process.env.KOMMO_SIGNATURE_STATUS_FIELD_ID || null,
+
+    // Text written to the custom field for each status
+    labels: {
+      pending: 'Aguardando assinatura',
+      viewed: 'Visualizado',
+      partially_signed: 'Parcialmente assinado',
+      signed: 'Assinado',
+      refused: 'Recusado',
+      expired: 'Expirado',
+    },
+
+    // Whether to post a note to the lead on every status change
+    postNotes: process.env.KOMMO_SIGNATURE_POST_NOTES !== 'false',
+
+    // Move the lead when the contract is fully signed (optional)
+    signedStatusId: process.env.KOMMO_SIGNED_STATUS_ID || null,
+    signedPipelineId: process.env.KOMMO_SIGNED_PIPELINE_ID || null,
+
+    // Move the lead when a signer refuses the contract (optional)
+    refusedStatusId: process.env.KOMMO_REFUSED_STATUS_ID || null,
+    refusedPipelineId: process.env.KOMMO_REFUSED_PIPELINE_ID || null,
+
+    // Accept webhooks of a provider without a webhook secret (unsigned events can move leads and post notes)
+    allowUnsignedWebhooks: process.env.SIGNATURE_WEBHOOK_ALLOW_UNSIGNED === 'true',
+  },
+
+  // Signature Reminders and Expiry
+  // Contracts still waiting for signatures are checked once a day by /api/cron/reminders
+  signatureReminders: {
+    // Whether to resend the signature request to the signers who haven't signed yet
+    enabled: process.env.SIGNATURE_REMINDERS === 'true',
+
+    // Days after the contract was sent before the first reminder
+    afterDays: parseInt(process.env.SIGNATURE_REMINDER_AFTER_DAYS) || 3,
+
+    // Days between two reminders
+    intervalDays: parseInt(process.env.SIGNATURE_REMINDER_INTERVAL_DAYS) || 3,
+
+    // Reminders sent per contract at most
+    maxReminders: parseInt(process.env.SIGNATURE_REMINDER_MAX) || 3,
+
+    // Whether to also create a follow-up task for the lead's responsible user with every reminder
+    createTask: process.env.SIGNATURE_REMINDER_CREATE_TASK !== 'false',
+
+    // Hours until the task is due
+    taskDeadlineHours: parseInt(process.env.SIGNATURE_REMINDER_TASK_DEADLINE_HOURS) || 24,
+
+    // Days after the contract was sent before the pending signatures are cancelled
+    // Leave empty to never expire contracts
+    expireAfterDays: parseInt(process.env.SIGNATURE_EXPIRE_AFTER_DAYS) || null,
+
+    // Move the lead when its contract expires (optional)
+    expiredStatusId: process.env.KOMMO_EXPIRED_STATUS_ID || null,
+    expiredPipelineId: process.env.KOMMO_EXPIRED_PIPELINE_ID || null,
+
+    // Stop picking up contracts after this many seconds so the cron run ends before the function timeout
+    timeBudget: parseInt(process.env.SIGNATURE_REMINDER_TIME_BUDGET) || 20,
+  },
+
+  // Signed PDF handling, once every party has signed
+  signedDocuments: {
+    // Whether to download the signed PDF (with the certificate page) from the signature provider and file it
+    enabled: process.env.SIGNED_PDF_ENABLED !== 'false',
+
+    // Drive folder for the signed PDFs
+    // Leave empty to save them next to the original Google Doc
+    folderId: process.env.GOOGLE_SIGNED_FOLDER_ID || null,
+
+    // Subfolder created inside that folder for the signed PDFs (e.g. "Assinados", optional)
+    subfolderName: process.env.GOOGLE_SIGNED_SUBFOLDER || null,
+
+    // Text added after the document title in the PDF file name
+    fileSuffix: process.env.SIGNED_PDF_SUFFIX || ' (assinado)',
+
+    // Whether to upload the PDF to the lead's files in Kommo and post it as a note
+    attachToLead: process.env.KOMMO_ATTACH_SIGNED_PDF !== 'false',
+
+    // Custom field ID to store the Drive link of the signed PDF (optional)
+    fieldId: process.env.KOMMO_SIGNED_PDF_FIELD_ID || null,
   },
 };
@@ -0,0 +1,52 @@
+/**
+ * Trigger Rules
+ *
+ * Decide which webhooks start the contract flow and which steps run for each one
+ * Rules are checked in order and the first match wins
+ * Leave the list empty to use a single rule built from KOMMO_TRIGGER_PIPELINE_ID/KOMMO_TRIGGER_STATUS_ID
+ *
+ * Each rule supports:
+ * - name: Identifier used in logs and responses
+ * - match: { pipelineId, statusId, conditions } (see lib/lead-matcher.js)
+ * - actions: Steps to run, all optional
+ *   - generate: Create the contract from the template
+ *   - share: Share the document with GOOGLE_SHARE_WITH
+ *   - sign: Send the document for signature
+ *   - note: Post the document link to the lead as a note
+ *   - move: { statusId, pipelineId } to move the lead to when done
+ * - signatureProvider: 'autentique' or 'clicksign', overrides the template and SIGNATURE_PROVIDER (optional)
+ */
+
+module.exports = [
+  // Example: only generate a draft for review
+  // {
+  //   name: 'rascunho',
+  //   match: { pipelineId: '1234567', statusId: '7654321' },
+  //   actions: { generate: true, note: true },
+  // },
+
+  // Example: generate, share and send for signature, then move the lead
+  // {
+  //   name: 'assinatura',
+  //   match: {
+  //     pipelineId: '2345678',
+  //     statusId: '8765432',
+  //     conditions: [{ fieldId: '768253', notEmpty: true }],
+  //   },
+  //   actions: {
+  //     generate: true,
+  //     share: true,
+  //     sign: true,
+  //     note: true,
+  //     move: { statusId: '9876543' },
+  //   },
+  // },
+
+  // Example: partner contracts signed through ClickSign
+  // {
+  //   name: 'parceiros',
+  //   match: { pipelineId: '3456789', statusId: '6543210' },
+  //   signatureProvider: 'clicksign',
+  //   actions: { generate: true, sign: true, note: true },
+  // },
+];
@@ -0,0 +1,51 @@
+/**
+ * Admin Authentication
+ *
+ * Protects the admin and cron endpoints with the ADMIN_TOKEN and CRON_SECRET secrets
+ */
+
+const { safeEqual } = require('./http-utils');
+const settings = require('../config/settings');
+
+/**
+ * Get the secret sent with a request
+ * Accepted as a Bearer token or in the X-Admin-Token header
+ * @param {Object} req - Incoming request
+ * @returns {string|null} Secret or null if none was sent
+ */
+function getRequestSecret(req) {
+  if (req.headers['x-admin-token']) {
+    return String(req.headers['x-admin-token']);
+  }
+
+  const authorization = String(req.headers.authorization || '');
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length);
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a request carries the admin token
+ * Always false while ADMIN_TOKEN is not configured
+ * @param {Object} req - Incoming request
+ * @returns {boolean} True if the request is authorized
+ */
+function isAdminRequest(req) {
+  return safeEqual(getRequestSecret(req), settings.admin.token);
+}
+
+/**
+ * Check whether a request comes from the Vercel cron (or an admin running it by hand)
+ * @param {Object} req - Incoming request
+ * @returns {boolean} True if the request is authorized
+ */
+function isCronRequest(req) {
+  return safeEqual(getRequestSecret(req), settings.admin.cronSecret) || isAdminRequest(req);
+}
+
+module.exports = {
+  isAdminRequest,
+  isCronRequest,
+};
@@ -2,77 +2,52 @@
  * Autentique API Integration
  *
  * Handles document creation and signature requests via Autentique API
+ * (see lib/signature-provider.js for the provider interface)
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const FormData = require('form-data');
-const { google } = require('googleapis');
+const { summarizeSignatures } = require('./signature-provider');
+const settings = require('../config/settings');
+
+// Signer actions from the configuration (see lib/signers.js) -> Autentique actions
+const SIGNER_ACTIONS = {
+  SIGN: 'SIGN',
+  WITNESS: 'SIGN_AS_A_WITNESS',
+  APPROVE: 'APPROVE',
+  RECOGNIZE: 'RECOGNIZE',
+};
+
+// Delivery channels from the configuration -> Autentique delivery methods
+const DELIVERY_METHODS = {
+  email: 'DELIVERY_METHOD_EMAIL',
+  whatsapp: 'DELIVERY_METHOD_WHATSAPP',
+  sms: 'DELIVERY_METHOD_SMS',
+};
 
 class AutentiqueClient {
   constructor() {
+    this.name = 'autentique';
+    this.label = 'Autentique';
     this.apiKey = process.env.AUTENTIQUE_API_KEY;
     this.apiUrl = 'https://api.autentique.com.br/v2/graphql';
     this.sandbox = process.env.AUTENTIQUE_SANDBOX === 'true';
+    this.webhookSecret = settings.autentique.webhookSecret;
 
     if (!this.apiKey) {
       throw new Error('AUTENTIQUE_API_KEY must be set in environment variables');
     }
-
-    // Initialize Google Drive client for PDF export
-    this.initializeGoogleDrive();
-  }
-
-  /**
-   * Initialize Google Drive API client
-   */
-  initializeGoogleDrive() {
-    try {
-      const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-
-      const auth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: ['https://www.googleapis.com/auth/drive'],
-      });
-
-      this.drive = google.drive({ version: 'v3', auth });
-    } catch (error) {
-      console.error('Error initializing Google Drive:', error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Export Google Doc as PDF
-   * @param {string} documentId - Google Docs document ID
-   * @returns {Promise<Buffer>} PDF file buffer
-   */
-  async exportDocumentAsPdf(documentId) {
-    try {
-      console.log(`Exporting document ${documentId} as PDF...`);
-
-      const response = await this.drive.files.export({
-        fileId: documentId,
-        mimeType: 'application/pdf',
-        supportsAllDrives: true,
-      }, {
-        responseType: 'arraybuffer',
-      });
-
-      console.log('Document exported as PDF successfully');
-      return Buffer.from(response.data);
-    } catch (error) {
-      console.error('Error exporting document as PDF:', error.message);
-      throw error;
-    }
   }
 
   /**
    * Create GraphQL mutation for document creation
    * @param {string} documentName - Name of the document
-   * @param {Array<Object>} signers - Array of signer objects with email and action
+   * @param {Array<Object>} signers - Array of signer objects with name, email or phone, delivery and action
+   * @param {Object} options - { sortable: signers must sign in the given order }
    * @returns {Object} GraphQL query and variables
    */
-  buildCreateDocumentMutation(documentName, signers) {
+  buildCreateDocumentMutation(documentName, signers, { sortable = false } = {}) {
     const mutation = `
       mutation CreateDocument(
         $document: DocumentInput!,
@@ -91,6 +66,7 @@ class AutentiqueClient {
           created_at
           signatures {
             public_id
+            name
             email
             created_at
             action {
@@ -108,32 +84,56 @@ class AutentiqueClient {
     const variables = {
       document: {
         name: documentName,
+        sortable,
       },
-      signers: signers.map(signer => ({
-        email: signer.email,
-        action: signer.action || 'SIGN',
-      })),
+      signers: signers.map(signer => this.buildSignerInput(signer)),
       sandbox: this.sandbox,
     };
 
     return { mutation, variables };
   }
 
+  /**
+   * Build the SignerInput for a signer
+   * Email signers get the invitation by email; WhatsApp and SMS signers by phone, which requires a name
+   * @param {Object} signer - { name, email, phone, delivery, action } (see lib/signers.js)
+   * @returns {Object} SignerInput
+   */
+  buildSignerInput(signer) {
+    const input = {
+      action: SIGNER_ACTIONS[signer.action] || signer.action || 'SIGN',
+    };
+
+    if (!signer.delivery || signer.delivery === 'email') {
+      input.email = signer.email;
+      if (signer.name) {
+        input.name = signer.name;
+      }
+    } else {
+      input.phone = signer.phone;
+      input.delivery_method = DELIVERY_METHODS[signer.delivery];
+      input.name = signer.name || signer.role || signer.phone;
+    }
+
+    return input;
+  }
+
   /**
    * Create document on Autentique with signers
    * @param {string} documentName - Name of the document
    * @param {Buffer} pdfBuffer - PDF file buffer
    * @param {Array<Object>} signers - Array of signers: [{ name, email, action }]
+   * @param {Object} options - { sortable: signers must sign in the given order }
    * @returns {Promise<Object>} Document creation response
    */
-  async createDocument(documentName, pdfBuffer, signers) {
+  async createDocument(documentName, pdfBuffer, signers, options = {}) {
     try {
       console.log(`Creating document on Autentique: ${documentName}`);
       console.log(`Sandbox mode: ${this.sandbox}`);
-      console.log(`Signers: ${signers.map(s => s.email).join(', ')}`);
+      console.log(`Signers: ${signers.map(s => `${s.email || s.phone} (${s.action || 'SIGN'}, ${s.delivery || 'email'})`).join(', ')}`);
 
       // Build GraphQL mutation
-      const { mutation, variables } = this.buildCreateDocumentMutation(documentName, signers);
+      const { mutation, variables } = this.buildCreateDocumentMutation(documentName, signers, options);
 
       // Create form data for multipart request
       const form = new FormData();
@@ -175,7 +175,7 @@ class AutentiqueClient {
 
       const document = response.data.data.createDocument;
       console.log(`Document created successfully on Autentique: ${document.id}`);
-      console.log(`Autentique link: https://painel.autentique.com.br/documentos/${document.id}`);
+      console.log(`Autentique link: ${this.getDocumentLink(document.id)}`);
 
       return document;
     } catch (error) {
@@ -189,66 +189,295 @@ class AutentiqueClient {
   }
 
   /**
-   * Send contract to Autentique for signature
-   * High-level method that exports Google Doc and creates Autentique document
-   *
-   * @param {string} googleDocId - Google Docs document ID
-   * @param {string} documentName - Name for the Autentique document
-   * @param {string} leadContactEmail - Lead/client email address
-   * @param {string} leadContactName - Lead/client name (optional, for logging)
-   * @returns {Promise<Object>} Autentique document info with signature links
+   * Execute a JSON GraphQL request against the Autentique API
+   * @param {string} query - GraphQL query or mutation
+   * @param {Object} variables - GraphQL variables
+   * @returns {Promise<Object>} Response data
+   */
+  async request(query, variables = {}) {
+    const response = await axios.post(this.apiUrl, { query, variables }, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (response.data.errors) {
+      console.error('GraphQL errors:', JSON.stringify(response.data.errors, null, 2));
+      throw new Error(`Autentique API error: ${response.data.errors[0].message}`);
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Get a document and the current state of its signatures
+   * @param {string} documentId - Autentique document ID
+   * @returns {Promise<Object|null>} Document { id, name, createdAt, signatures, signedFileUrl } or null if not found
    */
-  async sendContractForSignature(googleDocId, documentName, leadContactEmail, leadContactName = null) {
+  async getDocument(documentId) {
     try {
-      // Step 1: Export Google Doc as PDF
-      const pdfBuffer = await this.exportDocumentAsPdf(googleDocId);
+      const query = `
+        query GetDocument($id: UUID!) {
+          document(id: $id) {
+            id
+            name
+            created_at
+            files {
+              original
+              signed
+            }
+            signatures {
+              public_id
+              name
+              email
+              created_at
+              action {
+                name
+              }
+              user {
+                name
+                email
+              }
+              viewed {
+                created_at
+              }
+              signed {
+                created_at
+              }
+              rejected {
+                created_at
+                reason
+              }
+            }
+          }
+        }
+      `;
 
-      // Step 2: Prepare signers array
-      const signers = [];
+      const data = await this.request(query, { id: documentId });
+      return data.document ? this.toDocument(data.document) : null;
+    } catch (error) {
+      console.error('Error fetching document from Autentique:', error.message);
+      throw error;
+    }
+  }
 
-      // Add company representative as first signer
-      const companyName = process.env.AUTENTIQUE_COMPANY_SIGNER_NAME;
-      const companyEmail = process.env.AUTENTIQUE_COMPANY_SIGNER_EMAIL;
+  /**
+   * Convert a document from the Autentique API to the provider document
+   * @param {Object} document - Autentique document
+   * @returns {Object} Document { id, name, createdAt, signatures, signedFileUrl }
+   */
+  toDocument(document) {
+    return {
+      id: document.id,
+      name: document.name,
+      createdAt: document.created_at,
+      signatures: (document.signatures || []).map(signature => ({
+        publicId: signature.public_id,
+        name: signature.user?.name || signature.name || null,
+        email: signature.user?.email || signature.email || null,
+        action: signature.action?.name || null,
+        status: signature.rejected ? 'refused' : signature.signed ? 'signed' : signature.viewed ? 'viewed' : 'pending',
+        viewedAt: signature.viewed?.created_at || null,
+        signedAt: signature.signed?.created_at || null,
+        refusedAt: signature.rejected?.created_at || null,
+      })),
+      signedFileUrl: document.files?.signed || null,
+    };
+  }
 
-      if (!companyEmail) {
-        throw new Error('AUTENTIQUE_COMPANY_SIGNER_EMAIL must be set in environment variables');
-      }
+  /**
+   * Download the signed PDF of a document, including the signature certificate page
+   * @param {Object} document - Document returned by getDocument
+   * @returns {Promise<Buffer>} PDF file buffer
+   */
+  async downloadSignedPdf(document) {
+    const url = document?.signedFileUrl;
+    if (!url) {
+      throw new Error(`Autentique document ${document?.id} has no signed file yet`);
+    }
 
-      signers.push({
-        name: companyName || 'Company Representative',
-        email: companyEmail,
-        action: 'SIGN',
+    try {
+      const response = await axios.get(url, {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+        },
+        responseType: 'arraybuffer',
       });
 
-      // Add lead contact as second signer
-      if (!leadContactEmail) {
-        throw new Error('Lead contact email is required');
-      }
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('Error downloading signed PDF from Autentique:', error.message);
+      throw error;
+    }
+  }
 
-      signers.push({
-        name: leadContactName || 'Client',
-        email: leadContactEmail,
-        action: 'SIGN',
-      });
+  /**
+   * Cancel a document nobody has signed yet
+   * Autentique has no cancellation, the document is deleted, so documents with signatures are refused
+   * to never destroy a signed contract
+   * @param {string} documentId - Autentique document ID
+   * @returns {Promise<boolean>} True if the document was deleted, false if it no longer exists
+   */
+  async cancelDocument(documentId) {
+    const document = await this.getDocument(documentId);
+    if (!document) {
+      return false;
+    }
+
+    if (document.signatures.some(signature => signature.status === 'signed')) {
+      throw new Error(`Autentique document ${documentId} has been signed already, it can't be cancelled`);
+    }
+
+    try {
+      const mutation = `
+        mutation DeleteDocument($id: UUID!) {
+          deleteDocument(id: $id)
+        }
+      `;
+
+      const data = await this.request(mutation, { id: documentId });
+      return !!data.deleteDocument;
+    } catch (error) {
+      console.error('Error deleting document from Autentique:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the signature request again to signers who haven't signed
+   * @param {Object} document - Document returned by getDocument
+   * @param {Array<Object>} signatures - Signatures of the document to remind
+   * @returns {Promise<boolean>} True if Autentique resent the requests
+   */
+  async resendSignatureRequests(document, signatures) {
+    try {
+      const mutation = `
+        mutation ResendSignatures($publicIds: [UUID!]!) {
+          resendSignatures(public_ids: $publicIds)
+        }
+      `;
+
+      const data = await this.request(mutation, { publicIds: signatures.map(signature => signature.publicId) });
+      return !!data.resendSignatures;
+    } catch (error) {
+      console.error('Error resending signatures on Autentique:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out the overall signature status of a document
+   * @param {Object} document - Document returned by getDocument
+   * @returns {string} One of 'pending', 'viewed', 'partially_signed', 'signed', 'refused'
+   */
+  getSignatureStatus(document) {
+    return summarizeSignatures(document?.signatures);
+  }
+
+  /**
+   * Get the link to a document in the Autentique panel
+   * @param {string} documentId - Autentique document ID
+   * @returns {string} Link
+   */
+  getDocumentLink(documentId) {
+    return `https://painel.autentique.com.br/documentos/${documentId}`;
+  }
+
+  /**
+   * Verify the HMAC signature Autentique sends with each webhook
+   * @param {string} rawBody - Raw request body
+   * @param {string} signature - Value of the X-Autentique-Signature header
+   * @param {string} secret - Webhook secret configured in Autentique
+   * @returns {boolean} True if the signature matches the body
+   */
+  verifyWebhookSignature(rawBody, signature, secret) {
+    if (!signature || !secret) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest('hex');
+
+    const received = String(signature).replace(/^sha256=/, '');
+
+    if (received.length !== expected.length) {
+      return false;
+    }
 
-      // Step 3: Create document on Autentique
-      const document = await this.createDocument(documentName, pdfBuffer, signers);
+    return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  /**
+   * Verify a webhook request against the configured secret
+   * @param {string} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {boolean} True if the X-Autentique-Signature header matches the body
+   */
+  verifyWebhook(rawBody, headers) {
+    return this.verifyWebhookSignature(rawBody, headers['x-autentique-signature'], this.webhookSecret);
+  }
+
+  /**
+   * Read a webhook payload
+   * Document events carry the document itself, signature events reference it and say who acted
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Object} Event { type, documentId, signerName, ignore }
+   */
+  parseWebhookEvent(payload) {
+    const event = payload.event || payload;
+    const data = event.data || {};
+    const type = event.type;
+
+    let documentId;
+    if (data.object === 'document' || String(type || '').startsWith('document.')) {
+      documentId = data.id || null;
+    } else if (typeof data.document === 'string') {
+      documentId = data.document;
+    } else {
+      documentId = data.document?.id || null;
+    }
+
+    const isSignatureEvent = data.object === 'signature' || !!data.public_id;
+
+    return {
+      type,
+      documentId,
+      signerName: isSignatureEvent ? data.user?.name || data.name || data.user?.email || data.email || null : null,
+      ignore: type === 'document.deleted' ? 'Document deleted' : null,
+    };
+  }
+
+  /**
+   * Send contract to Autentique for signature
+   * @param {Buffer} pdfBuffer - PDF of the contract (see lib/renderer.js)
+   * @param {string} documentName - Name for the Autentique document
+   * @param {Array<Object>} signers - Signers in signing order [{ name, email, action }] (see lib/signers.js)
+   * @param {Object} options - { sortable: signers must sign in the given order }
+   * @returns {Promise<Object>} Autentique document info with signature links
+   */
+  async sendContractForSignature(pdfBuffer, documentName, signers, options = {}) {
+    try {
+      if (!signers || signers.length === 0) {
+        throw new Error('At least one signer is required');
+      }
 
-      // Step 4: Return document info with links
-      const autentiqueLink = `https://painel.autentique.com.br/documentos/${document.id}`;
+      const document = await this.createDocument(documentName, pdfBuffer, signers, options);
 
       return {
+        provider: this.name,
         id: document.id,
         name: document.name,
         createdAt: document.created_at,
         signatures: document.signatures.map(sig => ({
           publicId: sig.public_id,
           email: sig.email,
-          name: sig.user?.name || sig.email,
+          name: sig.user?.name || sig.name || sig.email,
           action: sig.action.name,
         })),
-        // Use constructed Autentique panel link
-        primaryLink: autentiqueLink,
+        primaryLink: this.getDocumentLink(document.id),
       };
     } catch (error) {
       console.error('Error sending contract for signature:', error.message);
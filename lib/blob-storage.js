@@ -0,0 +1,125 @@
+/**
+ * Blob Storage
+ *
+ * Durable storage for the files of contracts rendered from .docx templates, which are
+ * too large for the key-value store: the store (see lib/store.js) only keeps their metadata
+ * - FileBlobStorage: files in a local folder, for local development
+ * - VercelBlobStorage: Vercel Blob REST API, for production
+ *
+ * Every storage implements the same async interface:
+ * put(pathname, buffer, contentType) -> { url }, get(url) -> Buffer
+ * The URLs are never shown to people: /api/documents reads the files and checks the document key
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const settings = require('../config/settings');
+
+const VERCEL_BLOB_API_URL = 'https://blob.vercel-storage.com';
+
+class FileBlobStorage {
+  /**
+   * @param {string} directory - Folder holding the files
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  async put(pathname, buffer) {
+    const filePath = path.join(this.directory, pathname);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { url: `file://${filePath}` };
+  }
+
+  async get(url) {
+    const filePath = path.resolve(url.replace(/^file:\/\//, ''));
+
+    // Only files of this storage are read
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`File ${url} is not in ${this.directory}`);
+    }
+
+    return fs.promises.readFile(filePath);
+  }
+}
+
+class VercelBlobStorage {
+  /**
+   * @param {string} token - Read-write token of the Blob store (BLOB_READ_WRITE_TOKEN)
+   */
+  constructor(token) {
+    if (!token) {
+      throw new Error('BLOB_READ_WRITE_TOKEN must be set to use the vercel-blob blob storage driver');
+    }
+
+    this.token = token;
+  }
+
+  async put(pathname, buffer, contentType) {
+    try {
+      // A random suffix keeps the blob URLs unguessable
+      const response = await axios.put(`${VERCEL_BLOB_API_URL}/${pathname}`, buffer, {
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'x-api-version': '7',
+          'x-content-type': contentType,
+          'x-add-random-suffix': '1',
+        },
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+      });
+
+      return { url: response.data.url };
+    } catch (error) {
+      console.error('Error uploading file to Vercel Blob:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  async get(url) {
+    try {
+      const response = await axios.get(url, { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('Error downloading file from Vercel Blob:', error.message);
+      throw error;
+    }
+  }
+}
+
+let storage = null;
+
+/**
+ * Get the configured blob storage (created once per process)
+ * @returns {FileBlobStorage|VercelBlobStorage} Blob storage
+ */
+function getBlobStorage() {
+  if (storage) {
+    return storage;
+  }
+
+  const { driver, directory, token } = settings.blobStorage;
+
+  if (driver === 'vercel-blob') {
+    storage = new VercelBlobStorage(token);
+  } else if (driver === 'file') {
+    // Vercel only has an instance-local /tmp, which is wiped when the instance recycles
+    if (process.env.VERCEL) {
+      throw new Error('No Blob store linked on Vercel: link Vercel Blob (BLOB_READ_WRITE_TOKEN) to keep the contracts rendered from .docx templates');
+    }
+
+    storage = new FileBlobStorage(directory);
+  } else {
+    throw new Error(`Unknown blob storage driver: ${driver}. Must be one of: file, vercel-blob`);
+  }
+
+  return storage;
+}
+
+module.exports = {
+  getBlobStorage,
+};
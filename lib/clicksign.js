@@ -0,0 +1,386 @@
+/**
+ * ClickSign API Integration
+ *
+ * Handles document creation and signature requests via the ClickSign REST API (v1)
+ * (see lib/signature-provider.js for the provider interface)
+ *
+ * A document is signed through "lists": each signer is created once, added to the
+ * document with the action they sign as and then notified by their delivery channel.
+ * ClickSign reports no views, so its documents go from pending straight to signed
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { safeEqual } = require('./http-utils');
+const { summarizeSignatures } = require('./signature-provider');
+const settings = require('../config/settings');
+
+// Signer actions from the configuration (see lib/signers.js) -> ClickSign "sign_as"
+const SIGNER_ACTIONS = {
+  SIGN: 'sign',
+  WITNESS: 'witness',
+  APPROVE: 'approve',
+  RECOGNIZE: 'receipt',
+};
+
+// Delivery channels from the configuration -> how ClickSign authenticates the signer and the endpoint that notifies them
+const DELIVERY_METHODS = {
+  email: { auth: 'email', notification: 'notifications' },
+  whatsapp: { auth: 'whatsapp', notification: 'notify_by_whatsapp' },
+  sms: { auth: 'sms', notification: 'notify_by_sms' },
+};
+
+class ClickSignClient {
+  constructor() {
+    this.name = 'clicksign';
+    this.label = 'ClickSign';
+    this.accessToken = settings.clicksign.accessToken;
+    this.baseUrl = settings.clicksign.sandbox ? 'https://sandbox.clicksign.com' : 'https://app.clicksign.com';
+    this.webhookSecret = settings.clicksign.webhookSecret;
+
+    if (!this.accessToken) {
+      throw new Error('CLICKSIGN_ACCESS_TOKEN must be set in environment variables');
+    }
+  }
+
+  /**
+   * Execute a request against the ClickSign API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path after /api/v1
+   * @param {Object} data - JSON body (optional)
+   * @returns {Promise<Object>} Response data
+   */
+  async request(method, path, data = undefined) {
+    try {
+      const response = await axios.request({
+        method,
+        url: `${this.baseUrl}/api/v1${path}`,
+        params: { access_token: this.accessToken },
+        data,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+        },
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+      });
+
+      return response.data;
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+      if (errors) {
+        console.error('ClickSign errors:', JSON.stringify(errors, null, 2));
+        const apiError = new Error(`ClickSign API error: ${[].concat(errors).join(', ')}`);
+        apiError.response = error.response;
+        throw apiError;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Build the ClickSign signer for a signer of the contract
+   * Email signers get the invitation by email; WhatsApp and SMS signers by phone, which requires a name
+   * @param {Object} signer - { name, email, phone, delivery, action } (see lib/signers.js)
+   * @returns {Object} Signer input
+   */
+  buildSignerInput(signer) {
+    const delivery = DELIVERY_METHODS[signer.delivery] || DELIVERY_METHODS.email;
+    const input = {
+      name: signer.name || signer.role || signer.email || signer.phone,
+      auths: [delivery.auth],
+      delivery: 'none',
+      has_documentation: false,
+    };
+
+    if (signer.email) {
+      input.email = signer.email;
+    }
+
+    if (signer.phone) {
+      // ClickSign expects Brazilian numbers with the area code but without the country code
+      input.phone_number = signer.phone.replace(/^\+55/, '').replace(/\D/g, '');
+    }
+
+    return input;
+  }
+
+  /**
+   * Send the signature request of a signer through their delivery channel
+   * @param {string} requestSignatureKey - Request signature key of the signer in the document
+   * @param {string} delivery - 'email', 'whatsapp' or 'sms'
+   * @returns {Promise<void>}
+   */
+  async notify(requestSignatureKey, delivery) {
+    const method = DELIVERY_METHODS[delivery] || DELIVERY_METHODS.email;
+
+    await this.request('post', `/${method.notification}`, {
+      request_signature_key: requestSignatureKey,
+      ...(settings.clicksign.message ? { message: settings.clicksign.message } : {}),
+    });
+  }
+
+  /**
+   * Send contract to ClickSign for signature
+   * The document is uploaded, every signer is added to it and then notified
+   * @param {Buffer} pdfBuffer - PDF of the contract (see lib/renderer.js)
+   * @param {string} documentName - Name for the ClickSign document
+   * @param {Array<Object>} signers - Signers in signing order [{ name, email, phone, delivery, action }] (see lib/signers.js)
+   * @param {Object} options - { sortable: signers must sign in the given order }
+   * @returns {Promise<Object>} ClickSign document info with signature links
+   */
+  async sendContractForSignature(pdfBuffer, documentName, signers, { sortable = false } = {}) {
+    try {
+      if (!signers || signers.length === 0) {
+        throw new Error('At least one signer is required');
+      }
+
+      console.log(`Creating document on ClickSign: ${documentName}`);
+      console.log(`Sandbox mode: ${settings.clicksign.sandbox}`);
+      console.log(`Signers: ${signers.map(s => `${s.email || s.phone} (${s.action || 'SIGN'}, ${s.delivery || 'email'})`).join(', ')}`);
+
+      const { document } = await this.request('post', '/documents', {
+        document: {
+          path: `/${documentName.replace(/\//g, '-')}.pdf`,
+          content_base64: `data:application/pdf;base64,${pdfBuffer.toString('base64')}`,
+          auto_close: true,
+          locale: 'pt-BR',
+          sequence_enabled: sortable,
+        },
+      });
+
+      console.log(`Document created successfully on ClickSign: ${document.key}`);
+
+      const signatures = [];
+
+      for (const [index, signer] of signers.entries()) {
+        const { signer: created } = await this.request('post', '/signers', {
+          signer: this.buildSignerInput(signer),
+        });
+
+        const { list } = await this.request('post', '/lists', {
+          list: {
+            document_key: document.key,
+            signer_key: created.key,
+            sign_as: SIGNER_ACTIONS[signer.action] || String(signer.action || 'sign').toLowerCase(),
+            refusable: true,
+            ...(sortable ? { group: index + 1 } : {}),
+          },
+        });
+
+        // In a sequence ClickSign invites each signer itself once the previous ones signed
+        if (!sortable || index === 0) {
+          await this.notify(list.request_signature_key, signer.delivery);
+        }
+
+        signatures.push({
+          publicId: list.key,
+          email: signer.email || null,
+          name: signer.name || signer.email || signer.phone,
+          action: signer.action || 'SIGN',
+        });
+      }
+
+      console.log(`ClickSign link: ${this.getDocumentLink(document.key)}`);
+
+      return {
+        provider: this.name,
+        id: document.key,
+        name: documentName,
+        createdAt: document.uploaded_at || new Date().toISOString(),
+        signatures,
+        primaryLink: this.getDocumentLink(document.key),
+      };
+    } catch (error) {
+      console.error('Error sending contract for signature:', error.message);
+      if (error.response) {
+        console.error('Response status:', error.response.status);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a document and the current state of its signatures
+   * Cancelled documents are treated like documents deleted in Autentique, unless a signer refused them
+   * @param {string} documentKey - ClickSign document key
+   * @returns {Promise<Object|null>} Document { id, name, createdAt, signatures, signedFileUrl } or null if not found
+   */
+  async getDocument(documentKey) {
+    try {
+      const { document } = await this.request('get', `/documents/${documentKey}`);
+      const converted = this.toDocument(document);
+
+      if (document.status === 'canceled' && !converted.signatures.some(signature => signature.status === 'refused')) {
+        return null;
+      }
+
+      return converted;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      console.error('Error fetching document from ClickSign:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a document from the ClickSign API to the provider document
+   * Refusals are only recorded in the document events
+   * @param {Object} document - ClickSign document
+   * @returns {Object} Document { id, name, createdAt, signatures, signedFileUrl }
+   */
+  toDocument(document) {
+    const refusals = (document.events || []).filter(event => event.name === 'refusal');
+    const actions = Object.fromEntries(Object.entries(SIGNER_ACTIONS).map(([action, signAs]) => [signAs, action]));
+
+    return {
+      id: document.key,
+      name: String(document.filename || '').replace(/\.pdf$/i, ''),
+      createdAt: document.uploaded_at || null,
+      signatures: (document.signers || []).map(signer => {
+        const refusal = refusals.find(event => event.data?.signer?.email === signer.email);
+        const signedAt = signer.signature?.signed_at || null;
+
+        return {
+          publicId: signer.list_key || signer.key,
+          name: signer.name || null,
+          email: signer.email || null,
+          action: actions[signer.sign_as] || signer.sign_as || null,
+          status: refusal ? 'refused' : signedAt ? 'signed' : 'pending',
+          viewedAt: null,
+          signedAt,
+          refusedAt: refusal?.occurred_at || null,
+          requestSignatureKey: signer.request_signature_key || null,
+          delivery: signer.auths?.find(auth => DELIVERY_METHODS[auth]) || 'email',
+        };
+      }),
+      signedFileUrl: document.downloads?.signed_file_url || null,
+    };
+  }
+
+  /**
+   * Download the signed PDF of a document, including the signature certificate page
+   * @param {Object} document - Document returned by getDocument
+   * @returns {Promise<Buffer>} PDF file buffer
+   */
+  async downloadSignedPdf(document) {
+    const url = document?.signedFileUrl;
+    if (!url) {
+      throw new Error(`ClickSign document ${document?.id} has no signed file yet`);
+    }
+
+    try {
+      // The download links are temporary and already authorized
+      const response = await axios.get(url, { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('Error downloading signed PDF from ClickSign:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a document nobody has signed yet
+   * Documents with signatures are refused, like in Autentique (see lib/autentique.js)
+   * @param {string} documentKey - ClickSign document key
+   * @returns {Promise<boolean>} True if the document was cancelled, false if it no longer exists
+   */
+  async cancelDocument(documentKey) {
+    const document = await this.getDocument(documentKey);
+    if (!document) {
+      return false;
+    }
+
+    if (document.signatures.some(signature => signature.status === 'signed')) {
+      throw new Error(`ClickSign document ${documentKey} has been signed already, it can't be cancelled`);
+    }
+
+    try {
+      await this.request('patch', `/documents/${documentKey}/cancel`);
+      return true;
+    } catch (error) {
+      console.error('Error cancelling document on ClickSign:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the signature request again to signers who haven't signed
+   * @param {Object} document - Document returned by getDocument
+   * @param {Array<Object>} signatures - Signatures of the document to remind
+   * @returns {Promise<boolean>} True once every request was sent
+   */
+  async resendSignatureRequests(document, signatures) {
+    try {
+      for (const signature of signatures) {
+        await this.notify(signature.requestSignatureKey, signature.delivery);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error resending signatures on ClickSign:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out the overall signature status of a document
+   * @param {Object} document - Document returned by getDocument
+   * @returns {string} One of 'pending', 'partially_signed', 'signed', 'refused'
+   */
+  getSignatureStatus(document) {
+    return summarizeSignatures(document?.signatures);
+  }
+
+  /**
+   * Get the link to a document in the ClickSign panel
+   * @param {string} documentKey - ClickSign document key
+   * @returns {string} Link
+   */
+  getDocumentLink(documentKey) {
+    return `${this.baseUrl}/documents/${documentKey}`;
+  }
+
+  /**
+   * Verify the HMAC signature ClickSign sends with each webhook
+   * @param {string} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {boolean} True if the Content-Hmac header matches the body
+   */
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['content-hmac'];
+    if (!signature || !this.webhookSecret) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(rawBody)
+      .digest('hex');
+
+    return safeEqual(String(signature).replace(/^sha256=/, ''), expected);
+  }
+
+  /**
+   * Read a webhook payload
+   * @param {Object} payload - Parsed webhook body { event: { name, data }, document }
+   * @returns {Object} Event { type, documentId, signerName, ignore }
+   */
+  parseWebhookEvent(payload) {
+    const event = payload.event || {};
+    const signer = event.data?.signer;
+
+    return {
+      type: event.name,
+      documentId: payload.document?.key || null,
+      signerName: signer ? signer.name || signer.email || null : null,
+      ignore: event.name === 'cancel' ? 'Document cancelled' : null,
+    };
+  }
+}
+
+module.exports = ClickSignClient;
@@ -0,0 +1,35 @@
+/**
+ * Concurrency Helpers
+ *
+ * Runs async work in parallel without flooding the Kommo, Google and Autentique APIs
+ */
+
+/**
+ * Map items through an async function, running at most `limit` calls at a time
+ * Results keep the order of the items; a rejected call rejects the whole map,
+ * so callers that need per-item errors must catch them inside `fn`
+ * @param {Array<*>} items - Items to process
+ * @param {number} limit - Maximum number of calls in flight
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array<*>>} Results in the same order as the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -0,0 +1,340 @@
+/**
+ * Contract Configuration Schema
+ *
+ * Describes config/contract-config.json (field mapping and template routing)
+ * and checks a configuration against it, listing every problem with its path
+ *
+ * The schema uses a small subset of JSON Schema:
+ * type, properties, required, additionalProperties, propertyNames, items, enum, pattern, minLength, minItems, anyOf
+ */
+
+const { formatters } = require('./formatters');
+const { validators } = require('./validation');
+const { SIGNATURE_PROVIDERS } = require('./signature-provider');
+
+// Mapping sources (see lib/lead-context.js): '764177', 'lead.price', 'contact.EMAIL', 'company.770002', ...
+const SOURCE_PATTERN = /^(\d+|(lead|contact|company)\.[A-Za-z0-9_]+)$/;
+
+const SOURCE = {
+  type: 'string',
+  pattern: SOURCE_PATTERN,
+  message: 'must be a mapping source such as "764177", "lead.price" or "contact.EMAIL"',
+};
+
+const SOURCES = {
+  anyOf: [SOURCE, { type: 'array', items: SOURCE, minItems: 1 }],
+  message: 'must be a mapping source or a list of mapping sources',
+};
+
+const ID = {
+  anyOf: [{ type: 'string', pattern: /^\d+$/ }, { type: 'integer' }],
+  message: 'must be a numeric ID',
+};
+
+const SCALAR = { type: ['string', 'number'] };
+
+const VALUES = {
+  anyOf: [SCALAR, { type: 'array', items: SCALAR, minItems: 1 }],
+  message: 'must be a value or a list of values',
+};
+
+const MAPPING_ENTRY_OPTIONS = {
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    {
+      type: 'object',
+      required: ['placeholder'],
+      properties: {
+        placeholder: { type: 'string', minLength: 1 },
+        format: { type: 'string', enum: Object.keys(formatters) },
+        fallback: SOURCES,
+        required: { type: 'boolean' },
+        validate: { type: 'string', enum: Object.keys(validators) },
+      },
+      additionalProperties: false,
+    },
+  ],
+};
+
+// A list of entries fills several placeholders from the same source
+const MAPPING_ENTRY = {
+  anyOf: [
+    ...MAPPING_ENTRY_OPTIONS.anyOf,
+    { type: 'array', items: MAPPING_ENTRY_OPTIONS, minItems: 1 },
+  ],
+};
+
+const FIELD_MAPPING = {
+  type: 'object',
+  propertyNames: SOURCE,
+  additionalProperties: MAPPING_ENTRY,
+};
+
+const FIELD_CONDITION = {
+  type: 'object',
+  required: ['fieldId'],
+  properties: {
+    fieldId: ID,
+    values: VALUES,
+    value: SCALAR,
+    notEmpty: { type: 'boolean' },
+    empty: { type: 'boolean' },
+  },
+  additionalProperties: false,
+};
+
+const MATCH = {
+  type: 'object',
+  properties: {
+    ...FIELD_CONDITION.properties,
+    pipelineId: ID,
+    statusId: ID,
+    conditions: { type: 'array', items: FIELD_CONDITION },
+  },
+  additionalProperties: false,
+};
+
+const SECTION = {
+  type: 'object',
+  required: ['source'],
+  properties: {
+    source: SOURCES,
+    values: VALUES,
+    notEmpty: { type: 'boolean' },
+    empty: { type: 'boolean' },
+  },
+  additionalProperties: false,
+};
+
+const TEMPLATE = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', pattern: /^[\w-]+$/, message: 'must only have letters, digits, "_" and "-"' },
+    templateDocId: { type: 'string', minLength: 1 },
+    templateDocIdEnv: { type: 'string', pattern: /^[A-Z][A-Z0-9_]*$/, message: 'must be an environment variable name' },
+    templateFile: {
+      type: 'string',
+      pattern: /^(?!.*\.\.)[\w\-./ ]+\.docx$/,
+      message: 'must be a .docx file inside the templates folder',
+    },
+    signatureProvider: { type: 'string', enum: SIGNATURE_PROVIDERS },
+    match: MATCH,
+    fieldMapping: FIELD_MAPPING,
+    extendFieldMapping: { type: 'boolean' },
+    sections: { type: 'object', additionalProperties: SECTION },
+  },
+  additionalProperties: false,
+};
+
+const CONTRACT_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['fieldMapping'],
+  properties: {
+    $schema: { type: 'string' },
+    fieldMapping: FIELD_MAPPING,
+    templates: { type: 'array', items: TEMPLATE },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+
+  return typeof value;
+}
+
+/**
+ * Build the path of a property for error messages
+ * @param {string} path - Path of the parent
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Path (e.g. fieldMapping["764181"].format, templates[0].name)
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path ? `${path}.` : ''}${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, for error messages
+ * @returns {Array<string>} Problems ("path: message")
+ */
+function checkSchema(value, schema, path = '') {
+  const at = path || '(root)';
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(option => checkSchema(value, option, path));
+    if (results.some(problems => problems.length === 0)) {
+      return [];
+    }
+
+    // Report the option of the same type when there is one, it has the most useful message
+    const sameType = schema.anyOf.findIndex(option => [].concat(option.type).includes(getType(value)) ||
+                                                      (option.type === 'number' && getType(value) === 'integer'));
+
+    return sameType !== -1 && !schema.message ? results[sameType] : [`${at}: ${schema.message || 'has an invalid value'}`];
+  }
+
+  const types = [].concat(schema.type || []);
+  const type = getType(value);
+  if (types.length > 0 && !types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+    return [`${at}: must be ${types.join(' or ')} (got ${type})`];
+  }
+
+  const problems = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (schema.pattern && typeof value === 'string' && !schema.pattern.test(value)) {
+    problems.push(`${at}: ${schema.message || `must match ${schema.pattern}`} (got ${JSON.stringify(value)})`);
+  }
+
+  if (schema.minLength && typeof value === 'string' && value.trim().length < schema.minLength) {
+    problems.push(`${at}: must not be empty`);
+  }
+
+  if (type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      problems.push(`${at}: must have at least ${schema.minItems} item(s)`);
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...checkSchema(item, schema.items, joinPath(path, index))));
+    }
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        problems.push(`${joinPath(path, key)}: is required`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = joinPath(path, key);
+
+      if (schema.propertyNames) {
+        problems.push(...checkSchema(key, schema.propertyNames, itemPath).map(problem => problem.replace(': ', ': key ')));
+      }
+
+      if (schema.properties?.[key]) {
+        problems.push(...checkSchema(item, schema.properties[key], itemPath));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${itemPath}: unknown option`);
+      } else if (schema.additionalProperties) {
+        problems.push(...checkSchema(item, schema.additionalProperties, itemPath));
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check that a field mapping doesn't fill the same placeholder twice
+ * @param {Object} fieldMapping - Field mapping
+ * @param {string} path - Path of the mapping
+ * @returns {Array<string>} Problems
+ */
+function checkDuplicatePlaceholders(fieldMapping, path) {
+  const seen = {};
+  const problems = [];
+
+  for (const [source, entries] of Object.entries(fieldMapping)) {
+    [].concat(entries).forEach((entry, index) => {
+      const placeholder = typeof entry === 'string' ? entry : entry?.placeholder;
+      if (!placeholder) {
+        return;
+      }
+
+      const entryPath = Array.isArray(entries) ? joinPath(joinPath(path, source), index) : joinPath(path, source);
+      if (seen[placeholder]) {
+        problems.push(`${entryPath}: placeholder ${placeholder} is already filled by ${JSON.stringify(seen[placeholder])}`);
+      } else {
+        seen[placeholder] = source;
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a contract configuration
+ * @param {Object} config - Parsed configuration
+ * @returns {Array<string>} Problems, empty when the configuration is valid
+ */
+function validateContractConfig(config) {
+  const problems = checkSchema(config, CONTRACT_CONFIG_SCHEMA);
+
+  // The rest assumes the shape is right
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  problems.push(...checkDuplicatePlaceholders(config.fieldMapping, 'fieldMapping'));
+
+  if (Object.keys(config.fieldMapping).length === 0) {
+    problems.push('fieldMapping: must map at least one placeholder');
+  }
+
+  const names = new Set(['default']);
+  (config.templates || []).forEach((template, index) => {
+    const path = `templates[${index}]`;
+
+    if (names.has(template.name)) {
+      problems.push(`${path}.name: "${template.name}" is ${template.name === 'default' ? 'reserved for the default template' : 'used by another template'}`);
+    }
+    names.add(template.name);
+
+    if (template.templateDocId && template.templateDocIdEnv) {
+      problems.push(`${path}: set either templateDocId or templateDocIdEnv, not both`);
+    }
+
+    if (!template.templateDocId && !template.templateDocIdEnv && !template.templateFile) {
+      problems.push(`${path}: set templateDocId, templateDocIdEnv or templateFile`);
+    }
+
+    if (template.extendFieldMapping && !template.fieldMapping) {
+      problems.push(`${path}.extendFieldMapping: needs a fieldMapping to extend the default one with`);
+    }
+
+    if (template.fieldMapping) {
+      problems.push(...checkDuplicatePlaceholders(
+        template.extendFieldMapping ? { ...config.fieldMapping, ...template.fieldMapping } : template.fieldMapping,
+        `${path}.fieldMapping`
+      ));
+    }
+  });
+
+  return problems;
+}
+
+module.exports = {
+  SOURCE_PATTERN,
+  CONTRACT_CONFIG_SCHEMA,
+  validateContractConfig,
+};
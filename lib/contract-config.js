@@ -0,0 +1,232 @@
+/**
+ * Contract Configuration
+ *
+ * Loads the field mapping and template routing from config/contract-config.json,
+ * or from the store when it was edited through /api/config
+ *
+ * The file is checked against the schema (see lib/config-schema.js) when this module
+ * is loaded, so a broken file stops every function with the list of problems instead
+ * of generating contracts with blank fields. The same goes for CONTRACT_CONFIG_STORE=true
+ * without the kv storage driver
+ *
+ * Keys in the store:
+ * - config:contract  { config, version, updatedAt, updatedBy } saved by /api/config
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStore } = require('./store');
+const { validateContractConfig } = require('./config-schema');
+const settings = require('../config/settings');
+
+const CONFIG_FILE = path.join(__dirname, '..', 'config', 'contract-config.json');
+const STORE_KEY = 'config:contract';
+
+/**
+ * Build the error thrown for an invalid configuration
+ * @param {string} origin - Where the configuration came from
+ * @param {Array<string>} problems - Problems from validateContractConfig
+ * @returns {Error} Error with the problems listed in the message and in `problems`
+ */
+function buildConfigError(origin, problems) {
+  const error = new Error(`Invalid contract configuration in ${origin}:\n- ${problems.join('\n- ')}`);
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Read and validate config/contract-config.json
+ * @returns {Object} Configuration
+ */
+function loadFileConfig() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config/contract-config.json: ${error.message}`);
+  }
+
+  const problems = validateContractConfig(config);
+  if (problems.length > 0) {
+    throw buildConfigError('config/contract-config.json', problems);
+  }
+
+  return config;
+}
+
+const fileConfig = loadFileConfig();
+
+// Each instance of the file store has its own copy, so a saved configuration would only apply to some requests
+if (settings.contractConfig.useStore && settings.storage.driver !== 'kv') {
+  throw new Error(`CONTRACT_CONFIG_STORE=true needs the kv storage driver (STORAGE_DRIVER is ${settings.storage.driver})`);
+}
+
+// Stored configuration, kept for settings.contractConfig.cacheTtl seconds per function instance
+let cache = null;
+
+/**
+ * Get the configuration in use
+ * Falls back to the file when nothing was saved, the store is unavailable
+ * or the stored configuration doesn't pass the schema anymore
+ * @returns {Promise<Object>} { config, source: 'file' | 'store', version, updatedAt, updatedBy }
+ */
+async function getContractConfig() {
+  const fromFile = { config: fileConfig, source: 'file', version: null, updatedAt: null, updatedBy: null };
+
+  if (!settings.contractConfig.useStore) {
+    return fromFile;
+  }
+
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.value;
+  }
+
+  let value = fromFile;
+  try {
+    const record = await getStore().get(STORE_KEY);
+
+    if (record) {
+      const problems = validateContractConfig(record.config);
+
+      if (problems.length === 0) {
+        value = { ...record, source: 'store' };
+      } else {
+        console.error(buildConfigError(`the store (version ${record.version})`, problems).message);
+        console.error('Using config/contract-config.json instead');
+      }
+    }
+  } catch (error) {
+    console.error('Error loading the contract configuration from the store, using the file:', error.message);
+  }
+
+  cache = { value, expiresAt: Date.now() + settings.contractConfig.cacheTtl * 1000 };
+  return value;
+}
+
+/**
+ * Validate and save a configuration to the store, replacing the file until it is reset
+ * @param {Object} config - New configuration
+ * @param {string} updatedBy - Who made the change (for the audit trail, optional)
+ * @returns {Promise<Object>} Saved record { config, version, updatedAt, updatedBy }
+ */
+async function saveContractConfig(config, updatedBy = null) {
+  const problems = validateContractConfig(config);
+  if (problems.length > 0) {
+    throw buildConfigError('the request', problems);
+  }
+
+  const store = getStore();
+  const current = await store.get(STORE_KEY);
+
+  const record = {
+    config,
+    version: (current?.version || 0) + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy,
+  };
+
+  await store.set(STORE_KEY, record);
+  cache = null;
+
+  console.log(`Contract configuration version ${record.version} saved`);
+  return record;
+}
+
+/**
+ * Drop the stored configuration and go back to config/contract-config.json
+ * Other function instances keep their cached copy for up to cacheTtl seconds
+ * @returns {Promise<void>}
+ */
+async function resetContractConfig() {
+  await getStore().delete(STORE_KEY);
+  cache = null;
+
+  console.log('Contract configuration reset to config/contract-config.json');
+}
+
+/**
+ * List the custom field IDs a configuration refers to, by entity
+ * @param {Object} config - Configuration
+ * @returns {Object} { leads: Map<id, paths>, contacts: Map<id, paths>, companies: Map<id, paths> }
+ */
+function collectFieldIds(config) {
+  const ids = { leads: new Map(), contacts: new Map(), companies: new Map() };
+  const entities = { lead: 'leads', contact: 'contacts', company: 'companies' };
+
+  const add = (entity, id, where) => {
+    const paths = ids[entity].get(String(id)) || [];
+    ids[entity].set(String(id), [...paths, where]);
+  };
+
+  const addSource = (source, where) => {
+    const match = String(source).match(/^(?:(lead|contact|company)\.)?(\d+)$/);
+    if (match) {
+      add(entities[match[1] || 'lead'], match[2], where);
+    }
+  };
+
+  const addMapping = (fieldMapping, where) => {
+    for (const [source, entry] of Object.entries(fieldMapping || {})) {
+      addSource(source, `${where}["${source}"]`);
+      for (const fallback of [].concat(entry).flatMap(item => [].concat(item?.fallback || []))) {
+        addSource(fallback, `${where}["${source}"].fallback`);
+      }
+    }
+  };
+
+  addMapping(config.fieldMapping, 'fieldMapping');
+
+  (config.templates || []).forEach((template, index) => {
+    const where = `templates[${index}]`;
+    addMapping(template.fieldMapping, `${where}.fieldMapping`);
+
+    for (const condition of [template.match, ...(template.match?.conditions || [])]) {
+      if (condition?.fieldId) {
+        add('leads', condition.fieldId, `${where}.match`);
+      }
+    }
+
+    for (const [name, section] of Object.entries(template.sections || {})) {
+      for (const source of [].concat(section.source)) {
+        addSource(source, `${where}.sections.${name}`);
+      }
+    }
+  });
+
+  return ids;
+}
+
+/**
+ * Check that every custom field ID in a configuration exists in Kommo
+ * Catches stale IDs, which would otherwise leave the placeholders blank
+ * @param {Object} config - Configuration
+ * @param {KommoClient} kommo - Kommo client
+ * @returns {Promise<Array<string>>} Problems, empty when every field exists
+ */
+async function checkFieldIds(config, kommo) {
+  const problems = [];
+
+  for (const [entity, ids] of Object.entries(collectFieldIds(config))) {
+    if (ids.size === 0) {
+      continue;
+    }
+
+    const data = await kommo.getCustomFields(entity);
+    const existing = new Set((data._embedded?.custom_fields || []).map(field => String(field.id)));
+
+    for (const [id, paths] of ids) {
+      if (!existing.has(id)) {
+        problems.push(`${paths.join(', ')}: ${entity} custom field ${id} does not exist in Kommo`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  getContractConfig,
+  saveContractConfig,
+  resetContractConfig,
+  checkFieldIds,
+};
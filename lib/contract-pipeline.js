@@ -0,0 +1,309 @@
+/**
+ * Contract Pipeline
+ *
+ * Runs the steps selected by a trigger rule for a single lead:
+ * generate -> linkField -> share -> sign -> signatureLinkField -> note -> move
+ *
+ * The pipeline stops at the first failed step and returns its state,
+ * so a retry job (see lib/job-queue.js) can resume from that step
+ */
+
+const { createSignatureProvider, isSignatureProviderEnabled, getSignatureProviderLabel } = require('./signature-provider');
+const { reportValidationProblems } = require('./validation');
+const settings = require('../config/settings');
+
+// Steps in execution order
+const STEPS = ['generate', 'linkField', 'share', 'sign', 'signatureLinkField', 'note', 'move'];
+
+// Rule action that enables each step
+// The link fields are saved as their own steps so a failed update can be retried alone
+const STEP_ACTIONS = {
+  generate: 'generate',
+  linkField: 'generate',
+  share: 'share',
+  sign: 'sign',
+  signatureLinkField: 'sign',
+  note: 'note',
+  move: 'move',
+};
+
+// Steps that need a document to work on
+const DOCUMENT_STEPS = ['linkField', 'share', 'sign', 'note'];
+
+/**
+ * Create the contract document from the template
+ * @param {Object} context - Pipeline context
+ * @param {Object} state - Pipeline state
+ * @returns {Promise<void>}
+ */
+async function generate(context, state) {
+  const { renderer, template, documentTitle, replacements, sections } = context;
+
+  console.log('Creating contract document...');
+  const { placeholderReport, ...document } = await renderer.render({
+    template,
+    title: documentTitle,
+    replacements,
+    sections,
+  });
+
+  state.document = document;
+  state.placeholderReport = placeholderReport;
+  console.log('Document created:', state.document.link);
+
+  // A document that couldn't be checked is treated as having leftovers when they block the signature
+  const unchecked = !placeholderReport && settings.placeholderCheck.onLeftover === 'block';
+
+  if (placeholderReport?.leftover.length > 0 || unchecked) {
+    await reportLeftoverPlaceholders(context, state);
+  }
+}
+
+/**
+ * Warn the salesperson that the document still has placeholders in it, or couldn't be checked
+ * Failures are logged and never fail the step, the document already exists
+ * @param {Object} context - Pipeline context
+ * @param {Object} state - Pipeline state
+ * @returns {Promise<void>}
+ */
+async function reportLeftoverPlaceholders(context, state) {
+  const mode = settings.placeholderCheck.onLeftover;
+  if (mode === 'off') {
+    return;
+  }
+
+  const lines = [
+    state.placeholderReport
+      ? `Contrato gerado com campos não substituídos: ${state.placeholderReport.leftover.join(', ')}`
+      : 'Não foi possível verificar se o contrato gerado tem campos não substituídos',
+    `Documento: ${state.document.link}`,
+  ];
+
+  if (mode === 'block' && context.rule.actions?.sign) {
+    lines.push('O contrato não será enviado para assinatura. Corrija o modelo ou o mapeamento e gere o contrato novamente.');
+  }
+
+  try {
+    await context.kommo.addNoteToLead(context.leadId, lines.join('\n'));
+    console.log('Leftover placeholders note posted to Kommo');
+  } catch (error) {
+    console.error('Error adding leftover placeholders note:', error.message);
+  }
+}
+
+/**
+ * Save the document link to the lead custom field
+ * @param {Object} context - Pipeline context
+ * @param {Object} state - Pipeline state
+ * @returns {Promise<string|void>} 'skipped' if no link field is configured
+ */
+async function linkField(context, state) {
+  if (!settings.kommo.linkFieldId) {
+    return 'skipped';
+  }
+
+  console.log(`Updating custom field ${settings.kommo.linkFieldId} with document link...`);
+  await context.kommo.updateLeadCustomField(context.leadId, settings.kommo.linkFieldId, state.document.link);
+  console.log('Custom field updated successfully');
+}
+
+/**
+ * Share the document with the configured users
+ * @param {Object} context - Pipeline context
+ * @param {Object} state - Pipeline state
+ * @returns {Promise<string|void>} 'skipped' if there is no one to share with or the renderer can't share
+ */
+async function share(context, state) {
+  const { shareWith, shareRole } = settings.googleDrive;
+
+  if (shareWith.length === 0) {
+    console.warn('Share step enabled but GOOGLE_SHARE_WITH is empty, skipping');
+    return 'skipped';
+  }
+
+  console.log('Sharing document...');
+  return context.renderer.share(state.document, shareWith, shareRole);
+}
+
+/**
+ * Send the document to the signature provider of the contract
+ * @param {Object} context - Pipeline context
+ * @param {Object} state - Pipeline state
+ * @returns {Promise<string|void>} 'skipped' if the provider is not configured or there are no signers,
+ *   'blocked' if the document has leftover placeholders, or was generated without a placeholder report,
+ *   and settings.placeholderCheck blocks it, or if a signer has no usable email or phone
+ */
+async function sign(context, state) {
+  const { documentTitle, signers, sortable, signatureProvider } = context;
+
+  if (settings.placeholderCheck.onLeftover === 'block' && state.placeholderReport?.leftover.length > 0) {
+    console.warn(`Document has leftover placeholders (${state.placeholderReport.leftover.join(', ')}), not sending it for signature`);
+    return 'blocked';
+  }
+
+  if (settings.placeholderCheck.onLeftover === 'block' && state.steps.generate === 'done' && !state.placeholderReport) {
+    console.warn('Document could not be checked for leftover placeholders, not sending it for signature');
+    return 'blocked';
+  }
+
+  if (context.signerProblems?.length > 0) {
+    console.warn('Signers could not be resolved, not sending the contract for signature:', JSON.stringify(context.signerProblems));
+    await reportValidationProblems(context.kommo, context.lead, context.signerProblems,
+      'Contrato gerado, mas não enviado para assinatura. Corrija os signatários abaixo e regenere o contrato:');
+    return 'blocked';
+  }
+
+  if (!isSignatureProviderEnabled(signatureProvider)) {
+    console.warn(`Sign step enabled but ${getSignatureProviderLabel(signatureProvider)} is not configured, skipping`);
+    return 'skipped';
+  }
+
+  if (signers.length === 0) {
+    console.warn('No signers resolved for this lead, skipping the signature');
+    return 'skipped';
+  }
+
+  console.log(`Sending contract for signature to ${signers.map(signer => signer.email || signer.phone).join(', ')}...`);
+
+  const pdf = await context.renderer.exportPdf(state.document);
+
+  const provider = createSignatureProvider(signatureProvider);
+  state.autentiqueDocument = await provider.sendContractForSignature(
+    pdf,
+    documentTitle,
+    signers,
+    { sortable }
+  );
+
+  console.log(`Contract sent to ${provider.label}:`, state.autentiqueDocument.primaryLink);
+}
+
+/**
+ * Save the signature link to the lead custom field
+ * @param {Object} context - Pipeline context
+ * @param {Object} state - Pipeline state
+ * @returns {Promise<string|void>} 'skipped' if nothing was sent or no link field is configured
+ */
+async function signatureLinkField(context, state) {
+  if (!state.autentiqueDocument || !settings.kommo.autentiqueLinkFieldId) {
+    return 'skipped';
+  }
+
+  console.log(`Updating custom field ${settings.kommo.autentiqueLinkFieldId} with signature link...`);
+  await context.kommo.updateLeadCustomField(
+    context.leadId,
+    settings.kommo.autentiqueLinkFieldId,
+    state.autentiqueDocument.primaryLink
+  );
+  console.log('Signature link custom field updated successfully');
+}
+
+/**
+ * Post the document link to the lead as a note
+ * @param {Object} context - Pipeline context
+ * @param {Object} state - Pipeline state
+ * @returns {Promise<void>}
+ */
+async function note(context, state) {
+  console.log('Posting document link to Kommo as note...');
+
+  let noteText = settings.kommo.noteTemplate.replace('{link}', state.document.link);
+
+  // Add the signature link to note if available
+  if (state.autentiqueDocument?.primaryLink) {
+    noteText += `\n${getSignatureProviderLabel(state.autentiqueDocument.provider)}: ${state.autentiqueDocument.primaryLink}`;
+  }
+
+  await context.kommo.addNoteToLead(context.leadId, noteText);
+  console.log('Note posted to Kommo');
+}
+
+/**
+ * Move the lead to the status configured in the rule
+ * @param {Object} context - Pipeline context
+ * @returns {Promise<void>}
+ */
+async function move(context) {
+  const { statusId, pipelineId } = context.rule.actions.move;
+
+  console.log(`Moving lead to status ${statusId}...`);
+  await context.kommo.updateLeadStatus(context.leadId, statusId, pipelineId);
+}
+
+const handlers = { generate, linkField, share, sign, signatureLinkField, note, move };
+
+/**
+ * Run the steps enabled in the rule
+ * The first failed step stops the pipeline: it is marked 'failed', the remaining steps 'pending'
+ * and the state carries { failedStep, error } so the caller can queue a retry
+ *
+ * @param {Object} context - Pipeline context
+ * @param {KommoClient} context.kommo - Kommo client
+ * @param {Object} context.renderer - Contract renderer (see lib/renderer.js)
+ * @param {number} context.leadId - Lead ID
+ * @param {Object} context.lead - Lead object from Kommo API
+ * @param {Object} context.rule - Trigger rule (see config/trigger-rules.js)
+ * @param {Object} context.template - Template (see lib/template-router.js)
+ * @param {string} context.documentTitle - Title of the new document
+ * @param {Object} context.replacements - Placeholder replacements
+ * @param {Object} context.sections - Conditional section states (see lib/sections.js)
+ * @param {Array<Object>} context.signers - Signers in signing order (see lib/signers.js)
+ * @param {Array<Object>} context.signerProblems - Signers that can't be reached, which block the sign step
+ * @param {boolean} context.sortable - Whether the signers must sign in sequence
+ * @param {string} context.signatureProvider - Signature provider name (see lib/signature-provider.js)
+ * @param {Object} context.existingDocument - Document to use when the rule doesn't generate one { id, link }
+ * @param {Object} resume - Resume a previous run { fromStep, state } (optional)
+ * @param {Object} options - { stopAfter: last step to run, the others are left for a resumed run } (optional)
+ * @returns {Promise<Object>} State { document, autentiqueDocument, placeholderReport, steps, failedStep, error }
+ *   (autentiqueDocument is the document sent to the signature provider, whichever it is)
+ */
+async function runContractPipeline(context, resume = {}, { stopAfter = null } = {}) {
+  const actions = context.rule.actions || {};
+  const state = resume.state
+    ? { ...resume.state, steps: { ...resume.state.steps } }
+    : { document: context.existingDocument || null, autentiqueDocument: null, placeholderReport: null, steps: {} };
+
+  state.failedStep = null;
+  state.error = null;
+
+  const startIndex = resume.fromStep ? Math.max(STEPS.indexOf(resume.fromStep), 0) : 0;
+
+  for (const step of STEPS.slice(startIndex)) {
+    if (state.failedStep) {
+      state.steps[step] = 'pending';
+      continue;
+    }
+
+    if (!actions[STEP_ACTIONS[step]]) {
+      state.steps[step] = 'skipped';
+      continue;
+    }
+
+    if (DOCUMENT_STEPS.includes(step) && !state.document) {
+      console.warn(`Step "${step}" needs a document but none was generated or found, skipping`);
+      state.steps[step] = 'skipped';
+      continue;
+    }
+
+    try {
+      // Handlers return 'skipped' when they have nothing to do, or 'blocked' when they refuse to
+      state.steps[step] = (await handlers[step](context, state)) || 'done';
+    } catch (error) {
+      console.error(`Error in step "${step}":`, error.response?.data || error.message);
+      state.steps[step] = 'failed';
+      state.failedStep = step;
+      state.error = error.message;
+    }
+
+    if (step === stopAfter) {
+      break;
+    }
+  }
+
+  return state;
+}
+
+module.exports = {
+  STEPS,
+  runContractPipeline,
+};
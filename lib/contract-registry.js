@@ -0,0 +1,490 @@
+/**
+ * Contract Registry
+ *
+ * Keeps a record of every generated contract in the store (see lib/store.js),
+ * from the first pipeline run until every party has signed
+ *
+ * Keys in the store:
+ * - contract:{id}                            Contract record
+ * - contract-autentique:{autentiqueDocumentId}  Contract ID, to find the record from signature webhooks
+ * - contract-lead:{leadId}                    Set of the contract IDs of a lead
+ * - contract-status:{status}                  Set of the contract IDs with a status
+ * - contract-index:built                      Set once the indexes were built for the records saved before them
+ *
+ * autentiqueDocumentId and autentiqueLink hold the document of any signature provider, named in signatureProvider
+ *
+ * Contract status:
+ * - pending: the pipeline failed before the document was created (a retry job owns it)
+ * - created: the Google Doc exists but was not sent for signature
+ * - sent, viewed, partially_signed, signed, refused: signature status in the signature provider
+ * - replaced: a newer contract was generated for the lead (see /api/contracts/:leadId/regenerate)
+ * - expired: the signature deadline passed and the signatures were cancelled (see lib/signature-reminders.js)
+ *   Partially signed contracts never expire, they get expiryFlaggedAt and a task for a person instead
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+const STATUSES = ['pending', 'created', 'sent', 'viewed', 'partially_signed', 'signed', 'refused', 'replaced', 'expired'];
+
+// Records read per MGET
+const BATCH_SIZE = 100;
+
+// Signature status (see lib/signature-provider.js) -> contract status
+const SIGNATURE_STATUSES = {
+  pending: 'sent',
+  viewed: 'viewed',
+  partially_signed: 'partially_signed',
+  signed: 'signed',
+  refused: 'refused',
+};
+
+/**
+ * Get a contract by ID
+ * @param {string} id - Contract ID
+ * @returns {Promise<Object|null>} Contract or null
+ */
+async function getContract(id) {
+  return getStore().get(`contract:${id}`);
+}
+
+/**
+ * Get the contract sent for signature as a given document
+ * @param {string} autentiqueDocumentId - Document ID in the signature provider
+ * @returns {Promise<Object|null>} Contract or null
+ */
+async function getContractByAutentiqueId(autentiqueDocumentId) {
+  const id = await getStore().get(`contract-autentique:${autentiqueDocumentId}`);
+  return id ? getContract(id) : null;
+}
+
+/**
+ * Get several contracts by ID, in batches
+ * @param {Array<string>} ids - Contract IDs
+ * @returns {Promise<Array<Object>>} Contracts that still exist
+ */
+async function getContracts(ids) {
+  const contracts = [];
+
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const batch = await getStore().mget(ids.slice(i, i + BATCH_SIZE).map(id => `contract:${id}`));
+    contracts.push(...batch.filter(Boolean));
+  }
+
+  return contracts;
+}
+
+/**
+ * Add a contract to the lead and status indexes
+ * @param {Object} contract - Contract record
+ * @returns {Promise<void>}
+ */
+async function indexContract(contract) {
+  const store = getStore();
+
+  await store.sadd(`contract-lead:${contract.leadId}`, contract.id);
+  await store.sadd(`contract-status:${contract.status}`, contract.id);
+}
+
+/**
+ * Build the indexes for the contracts saved before they existed
+ * Runs once per store: every contract saved since is indexed by saveContract
+ * @returns {Promise<void>}
+ */
+async function ensureContractIndexes() {
+  const store = getStore();
+  if (await store.get('contract-index:built')) {
+    return;
+  }
+
+  console.log('Building the contract registry indexes...');
+  const ids = (await store.keys('contract:')).map(key => key.slice('contract:'.length));
+
+  for (const contract of await getContracts(ids)) {
+    await indexContract(contract);
+  }
+
+  await store.set('contract-index:built', new Date().toISOString());
+  console.log(`Indexed ${ids.length} contract(s)`);
+}
+
+/**
+ * Save a contract, keeping the signature document, lead and status indexes up to date
+ * @param {Object} contract - Contract record
+ * @returns {Promise<Object>} Saved contract
+ */
+async function saveContract(contract) {
+  const store = getStore();
+  const saved = { ...contract, updatedAt: new Date().toISOString() };
+  const previous = await store.get(`contract:${saved.id}`);
+
+  await store.set(`contract:${saved.id}`, saved);
+  await indexContract(saved);
+
+  if (previous && previous.status !== saved.status) {
+    await store.srem(`contract-status:${previous.status}`, saved.id);
+  }
+
+  if (saved.autentiqueDocumentId) {
+    await store.set(`contract-autentique:${saved.autentiqueDocumentId}`, saved.id);
+  }
+
+  return saved;
+}
+
+/**
+ * Build the signer list of a contract from the signatures created in the signature provider
+ * The role comes from the configured signer with the same email (or name)
+ * @param {Array<Object>} signatures - Signatures from provider.sendContractForSignature
+ * @param {Array<Object>} signers - Signers from lib/signers.js
+ * @returns {Array<Object>} Signers [{ publicId, role, name, email, action, status, ... }]
+ */
+function buildSigners(signatures, signers = []) {
+  return signatures.map(signature => {
+    const email = signature.email ? signature.email.toLowerCase() : null;
+    const signer = signers.find(candidate => (email && candidate.email?.toLowerCase() === email) ||
+                                             (!email && candidate.name && candidate.name === signature.name));
+
+    return {
+      publicId: signature.publicId,
+      role: signer?.role || null,
+      name: signature.name || null,
+      email: signature.email || null,
+      phone: signer?.phone || null,
+      action: signature.action || null,
+      status: 'pending',
+      viewedAt: null,
+      signedAt: null,
+      refusedAt: null,
+    };
+  });
+}
+
+/**
+ * Get the status of a contract from the state of its pipeline run
+ * @param {Object} contract - Contract record
+ * @returns {string} Contract status
+ */
+function getRunStatus(contract) {
+  if (contract.autentiqueDocumentId) {
+    // Signature webhooks may have moved the status on already
+    return ['pending', 'created'].includes(contract.status) ? 'sent' : contract.status;
+  }
+
+  return contract.documentId ? 'created' : 'pending';
+}
+
+/**
+ * Give a pipeline run its contract ID, before the state is saved in a retry job
+ * Retries resume from the saved state, so they update the same record
+ * @param {Object} state - Pipeline state from runContractPipeline
+ * @returns {string} Contract ID
+ */
+function assignContractId(state) {
+  state.contractId = state.contractId || crypto.randomUUID();
+  return state.contractId;
+}
+
+/**
+ * Find the record of the contract a pipeline run belongs to
+ * Rules that don't generate a document work on an existing contract of the lead
+ * @param {Object} context - Pipeline context from prepareContract
+ * @param {Object} state - Pipeline state
+ * @returns {Promise<Object|null>} Contract or null if the run starts a new one
+ */
+async function findRunContract(context, state) {
+  const contract = state.contractId ? await getContract(state.contractId) : null;
+  if (contract || context.rule.actions?.generate || !state.document?.id) {
+    return contract;
+  }
+
+  const contracts = await listContracts({ leadId: context.leadId });
+  return contracts.find(candidate => candidate.documentId === state.document.id) || null;
+}
+
+/**
+ * Record a pipeline run of a contract
+ * Failures are logged and never interrupt the run
+ * @param {Object} context - Pipeline context from prepareContract
+ * @param {Object} state - Pipeline state from runContractPipeline
+ * @param {Object} options - { retryJobId }
+ * @returns {Promise<Object|null>} Saved contract, or null if it could not be saved
+ */
+async function recordContractRun(context, state, { retryJobId = null } = {}) {
+  try {
+    const now = new Date().toISOString();
+    const contract = await findRunContract(context, state) || {
+      id: assignContractId(state),
+      leadId: context.leadId,
+      rule: context.rule.name,
+      clientName: context.clientName || null,
+      template: context.template.name,
+      documentTitle: context.documentTitle,
+      documentId: null,
+      documentLink: null,
+      leftoverPlaceholders: [],
+      signatureProvider: null,
+      autentiqueDocumentId: null,
+      autentiqueLink: null,
+      status: 'pending',
+      signers: [],
+      sortable: false,
+      reminders: [],
+      steps: {},
+      retryJobId: null,
+      errors: [],
+      createdAt: now,
+      sentAt: null,
+      signedAt: null,
+      refusedAt: null,
+      expiredAt: null,
+      expiryFlaggedAt: null,
+    };
+
+    contract.documentId = state.document?.id || contract.documentId;
+    contract.documentLink = state.document?.link || contract.documentLink;
+    contract.leftoverPlaceholders = state.placeholderReport?.leftover || contract.leftoverPlaceholders || [];
+    contract.steps = { ...contract.steps, ...state.steps };
+    contract.retryJobId = state.failedStep ? retryJobId || contract.retryJobId : null;
+
+    if (state.autentiqueDocument && state.autentiqueDocument.id !== contract.autentiqueDocumentId) {
+      contract.signatureProvider = state.autentiqueDocument.provider || 'autentique';
+      contract.autentiqueDocumentId = state.autentiqueDocument.id;
+      contract.autentiqueLink = state.autentiqueDocument.primaryLink;
+      contract.signers = buildSigners(state.autentiqueDocument.signatures || [], context.signers);
+      contract.sortable = !!context.sortable;
+      contract.reminders = [];
+      contract.sentAt = now;
+    }
+
+    if (state.failedStep) {
+      contract.errors = [...contract.errors, { step: state.failedStep, error: state.error, at: now }];
+    }
+
+    contract.status = getRunStatus(contract);
+    state.contractId = contract.id;
+
+    return await saveContract(contract);
+  } catch (error) {
+    console.error('Error recording contract in the registry:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Add an error to the history of a contract, for failures outside the pipeline
+ * @param {string} id - Contract ID
+ * @param {string} step - Step or operation that failed
+ * @param {string} message - Error message
+ * @returns {Promise<void>}
+ */
+async function recordContractError(id, step, message) {
+  try {
+    const contract = id ? await getContract(id) : null;
+    if (!contract) {
+      return;
+    }
+
+    await saveContract({
+      ...contract,
+      errors: [...contract.errors, { step, error: message, at: new Date().toISOString() }],
+    });
+  } catch (error) {
+    console.error('Error recording contract error in the registry:', error.message);
+  }
+}
+
+/**
+ * Update the signature state of a contract from its signature document
+ * @param {Object} document - Document returned by provider.getDocument
+ * @param {string} status - Overall signature status from provider.getSignatureStatus
+ * @param {Object} extra - Fields to merge into the record (e.g. { signedPdf })
+ * @returns {Promise<Object|null>} Updated contract, or null if the document is not in the registry
+ */
+async function recordSignatureStatus(document, status, extra = {}) {
+  try {
+    const contract = await getContractByAutentiqueId(document.id);
+    if (!contract) {
+      return null;
+    }
+
+    const signers = (document.signatures || []).map(signature => {
+      const known = contract.signers.find(signer => signer.publicId === signature.publicId) || {};
+
+      return {
+        ...known,
+        publicId: signature.publicId,
+        name: known.name || signature.name || null,
+        email: known.email || signature.email || null,
+        action: known.action || signature.action || null,
+        status: signature.status,
+        viewedAt: signature.viewedAt,
+        signedAt: signature.signedAt,
+        refusedAt: signature.refusedAt,
+      };
+    });
+
+    const now = new Date().toISOString();
+
+    return await saveContract({
+      ...contract,
+      ...extra,
+      status: ['replaced', 'expired'].includes(contract.status) ? contract.status : SIGNATURE_STATUSES[status] || contract.status,
+      signers,
+      signedAt: status === 'signed' ? contract.signedAt || now : contract.signedAt,
+      refusedAt: status === 'refused' ? contract.refusedAt || now : contract.refusedAt,
+    });
+  } catch (error) {
+    console.error('Error recording signature status in the registry:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record a signature reminder sent for a contract
+ * @param {string} id - Contract ID
+ * @param {Array<string>} publicIds - Signatures that were reminded
+ * @returns {Promise<Object|null>} Updated contract, or null if it is not in the registry
+ */
+async function recordSignatureReminder(id, publicIds) {
+  try {
+    const contract = await getContract(id);
+    if (!contract) {
+      return null;
+    }
+
+    return await saveContract({
+      ...contract,
+      reminders: [...(contract.reminders || []), { at: new Date().toISOString(), publicIds }],
+    });
+  } catch (error) {
+    console.error('Error recording signature reminder in the registry:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Mark a contract whose signature deadline passed as expired
+ * @param {string} id - Contract ID
+ * @returns {Promise<Object|null>} Updated contract, or null if it is not in the registry
+ */
+async function markContractExpired(id) {
+  try {
+    const contract = await getContract(id);
+    if (!contract) {
+      return null;
+    }
+
+    return await saveContract({ ...contract, status: 'expired', expiredAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error marking contract as expired in the registry:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record that the signature deadline of a partially signed contract passed and a person was asked to follow it up
+ * @param {string} id - Contract ID
+ * @returns {Promise<Object|null>} Updated contract, or null if it is not in the registry
+ */
+async function markContractExpiryFlagged(id) {
+  try {
+    const contract = await getContract(id);
+    if (!contract) {
+      return null;
+    }
+
+    return await saveContract({ ...contract, expiryFlaggedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error flagging contract expiry in the registry:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Mark the contracts whose document was archived or cancelled as replaced by a newer one
+ * @param {number} leadId - Lead ID
+ * @param {string} replacedBy - ID of the new contract
+ * @param {Object} documents - { documentIds, autentiqueDocumentIds } that were replaced
+ * @returns {Promise<Array<string>>} IDs of the replaced contracts
+ */
+async function markContractsReplaced(leadId, replacedBy, { documentIds = [], autentiqueDocumentIds = [] }) {
+  try {
+    const contracts = await listContracts({ leadId });
+    const replaced = [];
+
+    for (const contract of contracts) {
+      const isReplaced = documentIds.includes(contract.documentId) ||
+                         autentiqueDocumentIds.includes(contract.autentiqueDocumentId);
+
+      if (contract.id === replacedBy || contract.status === 'replaced' || !isReplaced) {
+        continue;
+      }
+
+      await saveContract({ ...contract, status: 'replaced', replacedBy, replacedAt: new Date().toISOString() });
+      replaced.push(contract.id);
+    }
+
+    return replaced;
+  } catch (error) {
+    console.error('Error marking replaced contracts in the registry:', error.message);
+    return [];
+  }
+}
+
+/**
+ * List contracts, newest first
+ * Dates are compared as ISO strings, so `to` can be a day ("2025-03-31") or a full timestamp
+ * @param {Object} filters - All optional
+ * @param {Array<string>} filters.statuses - Only contracts with one of these statuses
+ * @param {number|string} filters.leadId - Only contracts of this lead
+ * @param {string} filters.from - Created on or after this date
+ * @param {string} filters.to - Created on or before this date
+ * @returns {Promise<Array<Object>>} Contracts
+ */
+async function listContracts({ statuses = [], leadId = null, from = null, to = null } = {}) {
+  const store = getStore();
+  await ensureContractIndexes();
+
+  // A lead has few contracts: read them all and filter. Otherwise read the status indexes
+  const ids = new Set();
+  const indexedStatuses = leadId ? [] : statuses.length > 0 ? statuses : STATUSES;
+
+  if (leadId) {
+    (await store.smembers(`contract-lead:${leadId}`)).forEach(id => ids.add(id));
+  }
+
+  for (const status of indexedStatuses) {
+    (await store.smembers(`contract-status:${status}`)).forEach(id => ids.add(id));
+  }
+
+  // The status is checked on the records too, an index can be behind a concurrent save
+  const contracts = [];
+  for (const contract of await getContracts([...ids])) {
+    if ((statuses.length > 0 && !statuses.includes(contract.status)) ||
+        (leadId && String(contract.leadId) !== String(leadId)) ||
+        (from && contract.createdAt < from) ||
+        (to && contract.createdAt.slice(0, to.length) > to)) {
+      continue;
+    }
+
+    contracts.push(contract);
+  }
+
+  return contracts.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  STATUSES,
+  getContract,
+  getContractByAutentiqueId,
+  assignContractId,
+  recordContractRun,
+  recordContractError,
+  recordSignatureStatus,
+  recordSignatureReminder,
+  markContractExpired,
+  markContractExpiryFlagged,
+  markContractsReplaced,
+  listContracts,
+};
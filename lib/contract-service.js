@@ -0,0 +1,343 @@
+/**
+ * Contract Service
+ *
+ * Prepares and runs the contract pipeline for a lead
+ * Shared by the Kommo webhook and the retry cron so both build contracts the same way
+ */
+
+const KommoClient = require('./kommo');
+const { createRenderer } = require('./renderer');
+const { resolveTemplate } = require('./template-router');
+const { buildReplacements } = require('./replacements');
+const LeadContext = require('./lead-context');
+const { evaluateSections } = require('./sections');
+const { validateFields, reportValidationProblems } = require('./validation');
+const { resolveSigners } = require('./signers');
+const { resolveSignatureProvider } = require('./signature-provider');
+const { getTriggerRules } = require('./trigger-rules');
+const { STEPS, runContractPipeline } = require('./contract-pipeline');
+const { getIdempotencyKey, acquireLock, releaseLock, saveProcessedRecord, clearProcessedRecord, recordEvent } = require('./idempotency');
+const { enqueueJob, recordJobFailure, markJobDead, markJobDone } = require('./job-queue');
+const { assignContractId, recordContractRun, recordContractError } = require('./contract-registry');
+const settings = require('../config/settings');
+
+/**
+ * Resolve the template, replacements, sections and signers for a lead and validate them
+ * @param {Object} params - { kommo, renderer, leadId, lead, rule, pipelineId, statusId } (renderer: see lib/renderer.js)
+ * @param {Object} params.template - Template to use instead of the routed one (optional)
+ * @returns {Promise<Object>} { context, fields, problems } (context is the pipeline context, see lib/contract-pipeline.js)
+ */
+async function prepareContract({ kommo, renderer, leadId, lead, rule, pipelineId, statusId, template = null }) {
+  // Rules that don't generate a document work on the one linked to the lead
+  const existingContractLink = kommo.getCustomFieldValue(lead, settings.kommo.linkFieldId);
+  const existingDocument = existingContractLink ? renderer.getDocumentFromLink(existingContractLink) : null;
+
+  // Pick the template for this lead (pipeline/status or field value routing)
+  const selectedTemplate = template || await resolveTemplate({ lead, pipelineId, statusId });
+  console.log(`Using template "${selectedTemplate.name}" (${selectedTemplate.templateDocId || selectedTemplate.templateFile})`);
+
+  // Resolve the mapping sources, format the values and build replacements
+  const leadContext = new LeadContext(kommo, lead);
+  const { replacements, fields } = await buildReplacements(leadContext, selectedTemplate.fieldMapping);
+
+  // Decide which [SE ...] blocks of the template are kept
+  const sections = await evaluateSections(leadContext, selectedTemplate.sections);
+
+  // Generate document title using the client name
+  const { value: nomeCompleto } = await leadContext.resolveFirst(settings.client.name);
+  const date = new Date().toISOString().split('T')[0];
+  const documentTitle = `Contrato - ${nomeCompleto} - ${date}`;
+
+  // Resolve who signs the contract, in signing order
+  const { signers, sortable, problems: signerProblems } = await resolveSigners(
+    leadContext,
+    settings.autentique.signers
+  );
+
+  // Validate before anything is created
+  // Signer problems only keep the contract from being sent for signature (see the sign step)
+  const problems = rule.actions?.generate ? validateFields(fields) : [];
+
+  // The rule picks the signature provider, then the template
+  const signatureProvider = resolveSignatureProvider(rule, selectedTemplate);
+
+  const context = {
+    kommo,
+    renderer,
+    leadId,
+    lead,
+    rule,
+    template: selectedTemplate,
+    clientName: nomeCompleto,
+    documentTitle,
+    replacements,
+    sections,
+    signers,
+    signerProblems,
+    sortable,
+    signatureProvider,
+    existingDocument,
+  };
+
+  return { context, fields, problems };
+}
+
+/**
+ * Build the response returned for a pipeline run
+ * @param {Object} context - Pipeline context
+ * @param {Object} result - Pipeline state
+ * @returns {Object} Response body
+ */
+function buildResponse(context, result) {
+  const response = {
+    success: !result.failedStep,
+    contractId: result.contractId || null,
+    leadId: context.leadId,
+    rule: context.rule.name,
+    template: context.template.name,
+    steps: result.steps,
+    documentId: result.document?.id || null,
+    documentLink: result.document?.link || null,
+  };
+
+  // Add the signature info to response if available (kept under `autentique`, whichever the provider)
+  if (result.autentiqueDocument) {
+    response.autentique = {
+      provider: result.autentiqueDocument.provider || 'autentique',
+      documentId: result.autentiqueDocument.id,
+      primaryLink: result.autentiqueDocument.primaryLink,
+      signatures: result.autentiqueDocument.signatures,
+    };
+  }
+
+  if (result.placeholderReport) {
+    response.placeholderReport = result.placeholderReport;
+  }
+
+  if (result.failedStep) {
+    response.failedStep = result.failedStep;
+    response.error = result.error;
+  }
+
+  return response;
+}
+
+/**
+ * Save the processed record of a run so later webhooks skip the lead
+ * @param {Object} response - Response from processLead or retryJob
+ * @returns {Promise<void>}
+ */
+async function saveResult(response) {
+  await saveProcessedRecord(getIdempotencyKey(response.leadId, response.rule), {
+    leadId: response.leadId,
+    rule: response.rule,
+    template: response.template,
+    status: response.retryJobId && !response.success ? 'retrying' : 'completed',
+    documentId: response.documentId,
+    documentLink: response.documentLink,
+    autentiqueDocumentId: response.autentique?.documentId || null,
+    signatureProvider: response.autentique?.provider || null,
+    retryJobId: response.retryJobId || null,
+    steps: response.steps,
+  });
+}
+
+/**
+ * Generate the contract for a lead and run the steps of the matched rule
+ * A failure is queued as a retry job that resumes from the failed step
+ * @param {Object} params - { kommo, renderer, leadId, lead, rule, pipelineId, statusId }
+ * @returns {Promise<Object>} Response body
+ */
+async function processLead({ kommo, renderer, leadId, lead, rule, pipelineId, statusId }) {
+  let prepared;
+  try {
+    prepared = await prepareContract({ kommo, renderer, leadId, lead, rule, pipelineId, statusId });
+  } catch (error) {
+    console.error('Error preparing contract:', error.message);
+
+    // Nothing was created yet, the retry starts over
+    const job = await enqueueJob({ leadId, rule: rule.name, pipelineId, statusId, step: STEPS[0], error: error.message });
+    return {
+      success: false,
+      leadId,
+      rule: rule.name,
+      error: error.message,
+      retryJobId: job.id,
+    };
+  }
+
+  const { context, problems } = prepared;
+
+  if (problems.length > 0) {
+    console.warn('Validation failed, no contract will be created:', JSON.stringify(problems));
+    await reportValidationProblems(kommo, lead, problems);
+
+    return {
+      success: false,
+      leadId,
+      rule: rule.name,
+      template: context.template.name,
+      message: 'Validation failed, contract not created',
+      validationErrors: problems,
+    };
+  }
+
+  return runPipeline(context, { pipelineId, statusId });
+}
+
+/**
+ * Run the pipeline for a prepared context, queueing a retry job if a step fails
+ * @param {Object} context - Pipeline context from prepareContract
+ * @param {Object} trigger - { pipelineId, statusId } that triggered the run
+ * @param {boolean} trigger.overrideActions - Keep the rule actions of this run for the retries
+ * @param {Object} trigger.resume - Resume a run started with runContractPipeline { fromStep, state } (optional)
+ * @returns {Promise<Object>} Response body
+ */
+async function runPipeline(context, { pipelineId, statusId, overrideActions = false, resume = {} }) {
+  // Run the steps selected by the rule
+  const result = await runContractPipeline(context, resume);
+  assignContractId(result);
+  const response = buildResponse(context, result);
+
+  if (result.failedStep) {
+    const job = await enqueueJob({
+      leadId: context.leadId,
+      rule: context.rule.name,
+      pipelineId,
+      statusId,
+      step: result.failedStep,
+      actions: overrideActions ? context.rule.actions : null,
+      pipelineState: result,
+      error: result.error,
+    });
+    response.retryJobId = job.id;
+  }
+
+  const contract = await recordContractRun(context, result, { retryJobId: response.retryJobId });
+  response.contractId = contract?.id || response.contractId;
+
+  return response;
+}
+
+/**
+ * Retry a queued job from the step that failed
+ * The lead is fetched again so the remaining steps use its current data
+ * Jobs whose lead is being processed by someone else are left for the next run
+ * @param {Object} job - Job from the queue (see lib/job-queue.js)
+ * @returns {Promise<Object>} { jobId, leadId, outcome: 'done' | 'retrying' | 'dead' | 'locked', ... }
+ */
+async function retryJob(job) {
+  const idempotencyKey = getIdempotencyKey(job.leadId, job.rule);
+  const eventInfo = { rule: job.rule, pipelineId: job.pipelineId, statusId: job.statusId, jobId: job.id };
+
+  const lockToken = await acquireLock(idempotencyKey);
+  if (!lockToken) {
+    console.log(`Lead ${job.leadId} is being processed, leaving job ${job.id} for the next run`);
+    return { jobId: job.id, leadId: job.leadId, outcome: 'locked' };
+  }
+
+  console.log(`Retrying job ${job.id} for lead ${job.leadId} from step "${job.step}"...`);
+
+  try {
+    let context;
+    let result;
+    try {
+      const configuredRule = getTriggerRules().find(candidate => candidate.name === job.rule);
+      if (!configuredRule) {
+        throw new Error(`Trigger rule "${job.rule}" no longer exists`);
+      }
+
+      const rule = job.actions ? { ...configuredRule, actions: job.actions } : configuredRule;
+
+      const kommo = new KommoClient();
+      const renderer = createRenderer();
+
+      const leadData = await kommo.getLead(job.leadId);
+      const lead = leadData._embedded?.leads?.[0] || leadData;
+
+      let problems;
+      ({ context, problems } = await prepareContract({
+        kommo,
+        renderer,
+        leadId: job.leadId,
+        lead,
+        rule,
+        pipelineId: job.pipelineId,
+        statusId: job.statusId,
+      }));
+
+      // Jobs queued before the document was generated never went through validation
+      // (prepareContract failed), and the lead may have changed since: check it again
+      if ((!job.pipelineState || job.step === STEPS[0]) && problems.length > 0) {
+        return await rejectInvalidJob(job, { kommo, lead, problems, eventInfo, idempotencyKey });
+      }
+
+      result = await runContractPipeline(context, { fromStep: job.step, state: job.pipelineState });
+    } catch (error) {
+      console.error(`Error retrying job ${job.id}:`, error.message);
+      result = { failedStep: job.step, error: error.message };
+    }
+
+    if (result.failedStep) {
+      const updated = await recordJobFailure(job, result.failedStep, result.steps ? result : null, result.error);
+
+      if (result.steps) {
+        await recordContractRun(context, result, { retryJobId: job.id });
+      } else {
+        await recordContractError(job.pipelineState?.contractId, job.step, result.error);
+      }
+
+      const outcome = updated.status === 'dead' ? 'dead' : 'retrying';
+
+      await recordEvent(job.leadId, { ...eventInfo, outcome: `retry_${outcome}`, error: result.error });
+      return {
+        jobId: job.id,
+        leadId: job.leadId,
+        outcome,
+        step: result.failedStep,
+        error: result.error,
+        nextRunAt: updated.nextRunAt,
+      };
+    }
+
+    await markJobDone(job, result);
+    await recordContractRun(context, result);
+
+    const response = buildResponse(context, result);
+    await saveResult(response);
+    await recordEvent(job.leadId, { ...eventInfo, outcome: 'retry_done', documentId: response.documentId });
+
+    return { jobId: job.id, leadId: job.leadId, outcome: 'done', steps: result.steps };
+  } finally {
+    await releaseLock(idempotencyKey, lockToken);
+  }
+}
+
+/**
+ * Stop retrying a job whose lead doesn't pass validation and ask for the data to be fixed
+ * The processed record is cleared so the lead runs again from the webhook once fixed
+ * @param {Object} job - Job from the queue
+ * @param {Object} params - { kommo, lead, problems, eventInfo, idempotencyKey }
+ * @returns {Promise<Object>} { jobId, leadId, outcome: 'dead', step, error, validationErrors }
+ */
+async function rejectInvalidJob(job, { kommo, lead, problems, eventInfo, idempotencyKey }) {
+  console.warn(`Validation failed for job ${job.id}, no contract will be created:`, JSON.stringify(problems));
+
+  const error = 'Validation failed, contract not created';
+  await reportValidationProblems(kommo, lead, problems);
+  await markJobDead(job, job.step, error);
+  await recordContractError(job.pipelineState?.contractId, job.step, error);
+  await clearProcessedRecord(idempotencyKey);
+  await recordEvent(job.leadId, { ...eventInfo, outcome: 'retry_invalid', validationErrors: problems });
+
+  return { jobId: job.id, leadId: job.leadId, outcome: 'dead', step: job.step, error, validationErrors: problems };
+}
+
+module.exports = {
+  prepareContract,
+  buildResponse,
+  saveResult,
+  processLead,
+  runPipeline,
+  retryJob,
+};
@@ -0,0 +1,271 @@
+/**
+ * DOCX Renderer
+ *
+ * Renders contracts from .docx templates kept in the repository (settings.renderer.templatesDir),
+ * without Google Docs or Drive: the template is filled in memory (see lib/docx.js) and
+ * converted to PDF by a local LibreOffice (see lib/renderer.js for the renderer interface)
+ *
+ * Rendered files are kept in the blob storage (see lib/blob-storage.js) with their metadata in
+ * the store, and served by /api/documents/:id, whose link carries a per-document key so it can
+ * be saved to the lead and opened by the team
+ *
+ * Keys in the store:
+ * - document:{id}  { id, name, template, files: { docx, pdf } (blob URLs), key, createdAt, archivedAt }
+ *   Documents rendered before the blob storage have docx and pdf as base64 instead of files
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { fillDocx, getDocxText } = require('./docx');
+const { buildPlaceholderReport } = require('./template-lint');
+const { getStore } = require('./store');
+const { getBlobStorage } = require('./blob-storage');
+const settings = require('../config/settings');
+
+const execFileAsync = promisify(execFile);
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+class DocxRenderer {
+  constructor() {
+    // The links saved to the leads must outlive the deployment that created them
+    if (!settings.renderer.publicUrl) {
+      throw new Error('APP_URL must be set to the production URL of this deployment to use the docx renderer');
+    }
+  }
+
+  /**
+   * Get the path of a template file
+   * @param {Object} template - Template (see lib/template-router.js)
+   * @returns {string} Absolute path
+   */
+  getTemplatePath(template) {
+    return path.resolve(ROOT_DIR, settings.renderer.templatesDir, template.templateFile);
+  }
+
+  /**
+   * Check that a template has a readable .docx file
+   * @param {Object} template - Template
+   * @returns {string|null} Problem or null
+   */
+  getTemplateProblem(template) {
+    if (!template.templateFile) {
+      return `Template "${template.name}" has no templateFile configured`;
+    }
+
+    if (!fs.existsSync(this.getTemplatePath(template))) {
+      return `Template "${template.name}" file ${path.join(settings.renderer.templatesDir, template.templateFile)} does not exist`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a template file
+   * @param {Object} template - Template
+   * @returns {Promise<Buffer>} DOCX template
+   */
+  async readTemplate(template) {
+    const problem = this.getTemplateProblem(template);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    return fs.promises.readFile(this.getTemplatePath(template));
+  }
+
+  /**
+   * Read the text of a template
+   * @param {Object} template - Template
+   * @returns {Promise<string>} Text of the body, headers, footers, footnotes and endnotes
+   */
+  async getTemplateText(template) {
+    return getDocxText(await this.readTemplate(template));
+  }
+
+  /**
+   * Convert a DOCX document to PDF with LibreOffice
+   * Each conversion gets its own profile directory so parallel conversions don't lock each other
+   * @param {Buffer} docx - DOCX document
+   * @returns {Promise<Buffer>} PDF file buffer
+   */
+  async convertToPdf(docx) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'contract-'));
+
+    try {
+      const input = path.join(dir, 'contract.docx');
+      await fs.promises.writeFile(input, docx);
+
+      await execFileAsync(settings.renderer.libreOfficePath, [
+        `-env:UserInstallation=file://${path.join(dir, 'profile')}`,
+        '--headless',
+        '--norestore',
+        '--convert-to', 'pdf',
+        '--outdir', dir,
+        input,
+      ], { timeout: settings.renderer.conversionTimeout * 1000 });
+
+      return await fs.promises.readFile(path.join(dir, 'contract.pdf'));
+    } catch (error) {
+      console.error('Error converting document to PDF:', error.message);
+      throw new Error(`LibreOffice could not convert the contract to PDF (${settings.renderer.libreOfficePath}): ${error.message}`);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Fill a template and convert it to PDF
+   * @param {Object} params - { template, replacements, sections }
+   * @returns {Promise<Object>} { docx, pdf, placeholderReport }
+   */
+  async fill({ template, replacements, sections }) {
+    console.log(`Filling template ${template.templateFile}...`);
+    const { docx, replaced, text } = fillDocx(await this.readTemplate(template), replacements, sections);
+
+    const placeholderReport = buildPlaceholderReport(replaced, text);
+    if (placeholderReport.leftover.length > 0) {
+      console.warn(`Placeholders left in the document: ${placeholderReport.leftover.join(', ')}`);
+    }
+
+    console.log('Converting to PDF...');
+    const pdf = await this.convertToPdf(docx);
+
+    return { docx, pdf, placeholderReport };
+  }
+
+  /**
+   * Build the link of a stored document
+   * @param {Object} record - Stored document
+   * @returns {string} Link to /api/documents/:id with the document key
+   */
+  buildLink(record) {
+    return `${settings.renderer.publicUrl}/api/documents/${record.id}?key=${record.key}`;
+  }
+
+  /**
+   * Render the contract, upload its files and keep its metadata in the store
+   * @param {Object} params - { template, title, replacements, sections }
+   * @returns {Promise<Object>} Document { id, link, placeholderReport }
+   */
+  async render({ template, title, replacements, sections }) {
+    const { docx, pdf, placeholderReport } = await this.fill({ template, replacements, sections });
+    const id = crypto.randomUUID();
+    const blobStorage = getBlobStorage();
+
+    const files = {};
+    for (const [format, buffer] of Object.entries({ docx, pdf })) {
+      files[format] = (await blobStorage.put(`documents/${id}.${format}`, buffer, CONTENT_TYPES[format])).url;
+    }
+
+    const record = {
+      id,
+      name: title,
+      template: template.name,
+      files,
+      key: crypto.randomBytes(24).toString('base64url'),
+      createdAt: new Date().toISOString(),
+      archivedAt: null,
+    };
+
+    await getStore().set(`document:${record.id}`, record);
+    console.log(`Document ${record.id} saved`);
+
+    return { id: record.id, link: this.buildLink(record), placeholderReport };
+  }
+
+  /**
+   * Render the contract without keeping it
+   * @param {Object} params - { template, title, replacements, sections }
+   * @returns {Promise<Buffer>} PDF file buffer
+   */
+  async renderPreview({ template, replacements, sections }) {
+    const { pdf } = await this.fill({ template, replacements, sections });
+    return pdf;
+  }
+
+  /**
+   * Get a stored document
+   * @param {string} id - Document ID
+   * @returns {Promise<Object>} Stored document
+   */
+  async getRecord(id) {
+    const record = await getStore().get(`document:${id}`);
+    if (!record) {
+      throw new Error(`Document ${id} not found in the store`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Read a file of a stored document
+   * @param {Object} record - Stored document
+   * @param {string} format - 'pdf' or 'docx'
+   * @returns {Promise<Buffer>} File buffer
+   */
+  async readFile(record, format) {
+    if (record.files) {
+      return getBlobStorage().get(record.files[format]);
+    }
+
+    return Buffer.from(record[format], 'base64');
+  }
+
+  /**
+   * Get the PDF of a rendered contract
+   * @param {Object} document - Document { id, link }
+   * @returns {Promise<Buffer>} PDF file buffer
+   */
+  async exportPdf(document) {
+    return this.readFile(await this.getRecord(document.id), 'pdf');
+  }
+
+  /**
+   * Local documents are shared through their link, there is no one to add
+   * @returns {Promise<string>} 'skipped'
+   */
+  async share() {
+    console.warn('Documents rendered from .docx templates are shared through their link, skipping');
+    return 'skipped';
+  }
+
+  /**
+   * Mark a replaced contract as archived, its link keeps working
+   * @param {Object} document - Document { id, link }
+   * @returns {Promise<Object>} Archived document { id, name }
+   */
+  async archive(document) {
+    const record = await this.getRecord(document.id);
+    const prefix = settings.googleDrive.archiveTitlePrefix;
+
+    record.name = record.name.startsWith(prefix) ? record.name : `${prefix} ${record.name}`;
+    record.archivedAt = record.archivedAt || new Date().toISOString();
+
+    await getStore().set(`document:${record.id}`, record);
+    console.log(`Archived document ${record.id} as "${record.name}"`);
+
+    return { id: record.id, name: record.name };
+  }
+
+  /**
+   * Get the document an /api/documents link points to
+   * @param {string} link - Link saved to the lead
+   * @returns {Object|null} Document { id, link } or null
+   */
+  getDocumentFromLink(link) {
+    const match = String(link || '').match(/\/api\/documents\/([\w-]+)/);
+    return match ? { id: match[1], link } : null;
+  }
+}
+
+module.exports = DocxRenderer;
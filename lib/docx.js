@@ -0,0 +1,312 @@
+/**
+ * DOCX Templates
+ *
+ * Fills a Word template the same way the Google Docs flow fills a Google Doc:
+ * [SE ...] blocks are kept or deleted (see lib/sections.js) and every placeholder
+ * is replaced by exact match
+ *
+ * Word splits text into runs wherever the formatting, spell check or edit history
+ * changes, so a placeholder can be spread over several <w:t> elements. When that
+ * happens the text of the paragraph is moved into its first run, which keeps the
+ * formatting of that run for the whole paragraph.
+ */
+
+const { readZip, writeZip } = require('./zip');
+const { findSectionRanges } = require('./sections');
+
+const PARAGRAPH_PATTERN = /<w:p\b[^>]*\/>|<w:p\b[^>]*>[\s\S]*?<\/w:p>/g;
+const TEXT_PATTERN = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g;
+const TOKEN_PATTERN = /\[[^[\]\n]+\]/g;
+const CELL_PATTERN = /<(\/)?w:tc\b[^>]*>/g;
+
+// Parts that can have text, besides the body
+const EXTRA_PARTS = /^word\/(header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Decode the XML entities of a text node
+ * @param {string} text - Escaped text
+ * @returns {string} Text
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+
+    return ENTITIES[name] ?? entity;
+  });
+}
+
+/**
+ * Build a <w:t> element for a text, turning line breaks into <w:br/>
+ * @param {string} text - Text
+ * @returns {string} XML
+ */
+function textElement(text) {
+  const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return `<w:t xml:space="preserve">${escaped.split('\n').join('</w:t><w:br/><w:t xml:space="preserve">')}</w:t>`;
+}
+
+/**
+ * Get the table cell each position of a part is in
+ * @param {string} xml - XML of the part
+ * @returns {Function} position -> offset of the innermost <w:tc> holding it, or -1 outside tables
+ */
+function getCellLocator(xml) {
+  const cells = [];
+  const stack = [];
+
+  for (const match of xml.matchAll(CELL_PATTERN)) {
+    if (match[1]) {
+      const start = stack.pop();
+      cells.push({ start, end: match.index });
+    } else {
+      stack.push(match.index);
+    }
+  }
+
+  // Inner cells come first, so the first cell found is the innermost one
+  return position => cells.find(cell => cell.start < position && position < cell.end)?.start ?? -1;
+}
+
+/**
+ * Split a part into paragraphs and their text nodes
+ * @param {string} xml - XML of the part
+ * @returns {Array<Object>} Paragraphs { start, end, xml, cell, nodes: [{ start, end, text }] } (node offsets relative to the paragraph)
+ */
+function parseParagraphs(xml) {
+  const getCell = getCellLocator(xml);
+
+  return [...xml.matchAll(PARAGRAPH_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    xml: match[0],
+    cell: getCell(match.index),
+    removed: false,
+    nodes: [...match[0].matchAll(TEXT_PATTERN)].map(node => ({
+      start: node.index,
+      end: node.index + node[0].length,
+      text: decodeXml(node[1]),
+      changed: false,
+    })),
+  }));
+}
+
+/**
+ * Get the text of parsed paragraphs, one line per paragraph
+ * @param {Array<Object>} paragraphs - Paragraphs from parseParagraphs
+ * @returns {string} Text
+ */
+function paragraphsText(paragraphs) {
+  return paragraphs
+    .filter(paragraph => !paragraph.removed)
+    .map(paragraph => `${paragraph.nodes.map(node => node.text).join('')}\n`)
+    .join('');
+}
+
+/**
+ * Delete the [SE ...] blocks whose condition is false and every marker
+ * Paragraphs left without text whose line break was deleted are removed, like the
+ * lines Google Docs removes; a block that starts or ends in the middle of a paragraph
+ * keeps that paragraph instead of merging it with the next one
+ * @param {Array<Object>} paragraphs - Paragraphs from parseParagraphs (changed in place)
+ * @param {Object} states - Section name -> boolean, from evaluateSections
+ */
+function applySections(paragraphs, states) {
+  const text = paragraphsText(paragraphs);
+
+  // The text of the body and of each table cell is a segment of its own
+  const segmentEnds = [];
+  let offset = 0;
+  paragraphs.forEach((paragraph, index) => {
+    if (index > 0 && paragraph.cell !== paragraphs[index - 1].cell) {
+      segmentEnds.push(offset);
+    }
+    offset += paragraph.nodes.reduce((length, node) => length + node.text.length, 0) + 1;
+  });
+
+  const ranges = findSectionRanges(text, states, segmentEnds);
+
+  if (ranges.length === 0) {
+    return;
+  }
+
+  const deleted = new Uint8Array(text.length);
+  for (const range of ranges) {
+    deleted.fill(1, range.start, range.end);
+  }
+
+  let position = 0;
+  for (const paragraph of paragraphs) {
+    let kept = 0;
+
+    for (const node of paragraph.nodes) {
+      let remaining = '';
+      for (let i = 0; i < node.text.length; i++) {
+        if (!deleted[position + i]) {
+          remaining += node.text[i];
+        }
+      }
+
+      position += node.text.length;
+      kept += remaining.length;
+
+      if (remaining !== node.text) {
+        node.text = remaining;
+        node.changed = true;
+      }
+    }
+
+    // The line break of the paragraph
+    paragraph.removed = deleted[position] === 1 && kept === 0;
+    position += 1;
+  }
+}
+
+/**
+ * Move the text of a paragraph into its first node when a placeholder spans several nodes
+ * @param {Object} paragraph - Paragraph from parseParagraphs (changed in place)
+ */
+function joinSplitPlaceholders(paragraph) {
+  const { nodes } = paragraph;
+  if (nodes.length < 2) {
+    return;
+  }
+
+  const text = nodes.map(node => node.text).join('');
+  const boundaries = [];
+  let offset = 0;
+  for (const node of nodes) {
+    offset += node.text.length;
+    boundaries.push(offset);
+  }
+
+  const split = [...text.matchAll(TOKEN_PATTERN)].some(match => boundaries.some(boundary =>
+    boundary > match.index && boundary < match.index + match[0].length));
+
+  if (split) {
+    nodes.forEach((node, index) => {
+      node.text = index === 0 ? text : '';
+      node.changed = true;
+    });
+  }
+}
+
+/**
+ * Rebuild the XML of a part from its parsed paragraphs
+ * @param {string} xml - Original XML of the part
+ * @param {Array<Object>} paragraphs - Paragraphs from parseParagraphs
+ * @returns {string} XML
+ */
+function serializeParagraphs(xml, paragraphs) {
+  let result = '';
+  let position = 0;
+
+  for (const paragraph of paragraphs) {
+    result += xml.slice(position, paragraph.start);
+    position = paragraph.end;
+
+    if (paragraph.removed) {
+      continue;
+    }
+
+    let paragraphXml = '';
+    let nodePosition = 0;
+    for (const node of paragraph.nodes) {
+      paragraphXml += paragraph.xml.slice(nodePosition, node.start);
+      paragraphXml += node.changed ? textElement(node.text) : paragraph.xml.slice(node.start, node.end);
+      nodePosition = node.end;
+    }
+
+    result += paragraphXml + paragraph.xml.slice(nodePosition);
+  }
+
+  result += xml.slice(position);
+
+  // A table cell must keep at least one paragraph
+  return result.replace(/(<w:tc\b[^>]*>(?:\s*<w:tcPr>[\s\S]*?<\/w:tcPr>)?)\s*<\/w:tc>/g, '$1<w:p/></w:tc>');
+}
+
+/**
+ * Get the names of the parts of a document that have text
+ * @param {Map<string, Buffer>} entries - Entries from readZip
+ * @returns {Array<string>} Part names, the body first
+ */
+function getTextParts(entries) {
+  if (!entries.has('word/document.xml')) {
+    throw new Error('Not a Word document (word/document.xml not found)');
+  }
+
+  return ['word/document.xml', ...[...entries.keys()].filter(name => EXTRA_PARTS.test(name))];
+}
+
+/**
+ * Fill a DOCX template
+ * @param {Buffer} template - DOCX template
+ * @param {Object} replacements - Placeholder -> value
+ * @param {Object} sections - Section name -> boolean for the body, from evaluateSections (optional)
+ * @returns {Object} { docx: Buffer, replaced: placeholder -> occurrences replaced, text: text of the filled document }
+ */
+function fillDocx(template, replacements, sections = null) {
+  const entries = readZip(template);
+  const replaced = {};
+  let text = '';
+
+  const placeholders = Object.entries(replacements).filter(([, value]) => value !== null && value !== undefined);
+  for (const [placeholder] of placeholders) {
+    replaced[placeholder] = 0;
+  }
+
+  for (const name of getTextParts(entries)) {
+    const xml = entries.get(name).toString('utf8');
+    const paragraphs = parseParagraphs(xml);
+
+    if (sections && name === 'word/document.xml') {
+      applySections(paragraphs, sections);
+    }
+
+    for (const paragraph of paragraphs) {
+      if (paragraph.removed) {
+        continue;
+      }
+
+      joinSplitPlaceholders(paragraph);
+
+      for (const node of paragraph.nodes) {
+        for (const [placeholder, value] of placeholders) {
+          const parts = node.text.split(placeholder);
+          if (parts.length > 1) {
+            node.text = parts.join(String(value));
+            node.changed = true;
+            replaced[placeholder] += parts.length - 1;
+          }
+        }
+      }
+    }
+
+    entries.set(name, Buffer.from(serializeParagraphs(xml, paragraphs), 'utf8'));
+    text += paragraphsText(paragraphs);
+  }
+
+  return { docx: writeZip(entries), replaced, text };
+}
+
+/**
+ * Get the text of a DOCX document: body, headers, footers, footnotes and endnotes
+ * @param {Buffer} docx - DOCX document
+ * @returns {string} Text, one line per paragraph
+ */
+function getDocxText(docx) {
+  const entries = readZip(docx);
+
+  return getTextParts(entries)
+    .map(name => paragraphsText(parseParagraphs(entries.get(name).toString('utf8'))))
+    .join('');
+}
+
+module.exports = {
+  fillDocx,
+  getDocxText,
+};
@@ -0,0 +1,362 @@
+/**
+ * Value Formatters
+ *
+ * Turn raw Kommo values into the formats Brazilian contracts expect
+ * Referenced by name from the `format` option of each field mapping entry
+ */
+
+const settings = require('../config/settings');
+
+const UNITS = [
+  'zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove',
+  'dez', 'onze', 'doze', 'treze', 'quatorze', 'quinze', 'dezesseis', 'dezessete', 'dezoito', 'dezenove',
+];
+
+const TENS = ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'];
+
+const HUNDREDS = [
+  '', 'cento', 'duzentos', 'trezentos', 'quatrocentos',
+  'quinhentos', 'seiscentos', 'setecentos', 'oitocentos', 'novecentos',
+];
+
+// [singular, plural] for each group of three digits above the units
+const SCALES = [null, ['mil', 'mil'], ['milhão', 'milhões'], ['bilhão', 'bilhões'], ['trilhão', 'trilhões']];
+
+// Dates without a time (e.g. "2025-03-15") are calendar days, not instants
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Amounts with dots every three digits and no comma (e.g. "15.000", "1.234.567") use the dots as thousands separators
+const THOUSANDS_ONLY = /^-?\d{1,3}(\.\d{3})+$/;
+
+/**
+ * Keep only the digits of a value
+ * @param {*} value - Raw value
+ * @returns {string} Digits
+ */
+function onlyDigits(value) {
+  return String(value).replace(/\D/g, '');
+}
+
+/**
+ * Apply a mask to a value when it has the expected number of digits
+ * Values that don't fit the mask are returned unchanged
+ * @param {*} value - Raw value
+ * @param {number} length - Expected number of digits
+ * @param {RegExp} pattern - Pattern capturing the digit groups
+ * @param {string} replacement - Replacement using the captured groups
+ * @returns {string} Masked value
+ */
+function mask(value, length, pattern, replacement) {
+  const digits = onlyDigits(value);
+  return digits.length === length ? digits.replace(pattern, replacement) : String(value);
+}
+
+/**
+ * Parse a date from Kommo
+ * Date fields come as Unix timestamps in seconds, but ISO strings and Date objects are accepted too
+ * @param {*} value - Raw value
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const date = /^\d+$/.test(String(value).trim())
+    ? new Date(parseInt(value) * 1000)
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the time zone a date value is shown in
+ * Calendar dates are parsed as UTC midnight, so they are shown in UTC to keep their day
+ * @param {*} value - Raw value
+ * @returns {string} IANA time zone
+ */
+function getDateTimeZone(value) {
+  return CALENDAR_DATE.test(String(value).trim()) ? 'UTC' : settings.formatting.timeZone;
+}
+
+/**
+ * Parse an amount, accepting 15000.5, "15.000,50" and "15.000"
+ * @param {*} value - Raw value
+ * @returns {number|null} Amount or null if invalid
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  let text = String(value).replace(/[^\d.,-]/g, '');
+
+  // Brazilian notation: dots separate thousands, comma separates decimals
+  if (text.includes(',') || THOUSANDS_ONLY.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+
+  const amount = parseFloat(text);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Write a number from 1 to 999 in Portuguese words
+ * @param {number} number - Number to write
+ * @returns {string} Number in words
+ */
+function groupToWords(number) {
+  if (number === 100) {
+    return 'cem';
+  }
+
+  const parts = [];
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+
+  if (hundreds) {
+    parts.push(HUNDREDS[hundreds]);
+  }
+
+  if (rest >= 20) {
+    const units = rest % 10;
+    parts.push(units ? `${TENS[Math.floor(rest / 10)]} e ${UNITS[units]}` : TENS[Math.floor(rest / 10)]);
+  } else if (rest > 0) {
+    parts.push(UNITS[rest]);
+  }
+
+  return parts.join(' e ');
+}
+
+/**
+ * Write a non-negative integer in Portuguese words
+ * @param {number} number - Integer to write
+ * @returns {string} Number in words (e.g. 1500 -> "mil e quinhentos")
+ */
+function integerToWords(number) {
+  if (number === 0) {
+    return UNITS[0];
+  }
+
+  // Split into groups of three digits, lowest first
+  const groups = [];
+  for (let rest = number; rest > 0; rest = Math.floor(rest / 1000)) {
+    groups.push(rest % 1000);
+  }
+
+  const words = [];
+  for (let scale = groups.length - 1; scale >= 0; scale--) {
+    const group = groups[scale];
+    if (!group) {
+      continue;
+    }
+
+    let text;
+    if (scale === 0) {
+      text = groupToWords(group);
+    } else if (scale === 1) {
+      text = group === 1 ? 'mil' : `${groupToWords(group)} mil`;
+    } else {
+      text = `${groupToWords(group)} ${SCALES[scale][group === 1 ? 0 : 1]}`;
+    }
+
+    words.push({ text, group });
+  }
+
+  // The last group is joined with "e" when it is below 100 or a round hundred
+  return words.reduce((result, { text, group }, index) => {
+    if (index === 0) {
+      return text;
+    }
+
+    const isLast = index === words.length - 1;
+    const separator = isLast && (group < 100 || group % 100 === 0) ? ' e ' : ' ';
+    return result + separator + text;
+  }, '');
+}
+
+/**
+ * CPF mask: 000.000.000-00
+ */
+function cpf(value) {
+  return mask(value, 11, /(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+}
+
+/**
+ * CNPJ mask: 00.000.000/0000-00
+ */
+function cnpj(value) {
+  return mask(value, 14, /(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, '$1.$2.$3/$4-$5');
+}
+
+/**
+ * CPF or CNPJ mask, chosen by the number of digits
+ */
+function cpfCnpj(value) {
+  return onlyDigits(value).length === 14 ? cnpj(value) : cpf(value);
+}
+
+/**
+ * CEP mask: 00000-000
+ */
+function cep(value) {
+  return mask(value, 8, /(\d{5})(\d{3})/, '$1-$2');
+}
+
+/**
+ * Phone mask: (00) 00000-0000 or (00) 0000-0000
+ * A leading country code 55 is dropped
+ */
+function phone(value) {
+  let digits = onlyDigits(value);
+
+  if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) {
+    digits = digits.slice(2);
+  }
+
+  if (digits.length === 11) {
+    return digits.replace(/(\d{2})(\d{5})(\d{4})/, '($1) $2-$3');
+  }
+
+  if (digits.length === 10) {
+    return digits.replace(/(\d{2})(\d{4})(\d{4})/, '($1) $2-$3');
+  }
+
+  return String(value);
+}
+
+/**
+ * Short date: dd/mm/yyyy
+ */
+function date(value) {
+  const parsed = parseDate(value);
+  if (!parsed) {
+    return String(value);
+  }
+
+  return new Intl.DateTimeFormat('pt-BR', {
+    timeZone: getDateTimeZone(value),
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+  }).format(parsed);
+}
+
+/**
+ * Long date: 15 de março de 2025
+ */
+function dateLong(value) {
+  const parsed = parseDate(value);
+  if (!parsed) {
+    return String(value);
+  }
+
+  const parts = new Intl.DateTimeFormat('pt-BR', {
+    timeZone: getDateTimeZone(value),
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  }).formatToParts(parsed);
+
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('day')} de ${part('month')} de ${part('year')}`;
+}
+
+/**
+ * BRL currency: R$ 15.000,00
+ */
+function currency(value) {
+  const amount = parseAmount(value);
+  if (amount === null) {
+    return String(value);
+  }
+
+  // Intl uses a non-breaking space after R$, use a regular one in documents
+  return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' })
+    .format(amount)
+    .replace(/\u00a0/g, ' ');
+}
+
+/**
+ * Amount in words: quinze mil reais e cinquenta centavos
+ */
+function currencyWords(value) {
+  const amount = parseAmount(value);
+  if (amount === null || amount < 0) {
+    return String(value);
+  }
+
+  const cents = Math.round(amount * 100);
+  const reais = Math.floor(cents / 100);
+  const centavos = cents % 100;
+  const parts = [];
+
+  if (reais > 0) {
+    // Whole millions take "de": um milhão de reais
+    const connector = reais >= 1000000 && reais % 1000000 === 0 ? ' de' : '';
+    parts.push(`${integerToWords(reais)}${connector} ${reais === 1 ? 'real' : 'reais'}`);
+  }
+
+  if (centavos > 0) {
+    parts.push(`${integerToWords(centavos)} ${centavos === 1 ? 'centavo' : 'centavos'}`);
+  }
+
+  return parts.length > 0 ? parts.join(' e ') : 'zero reais';
+}
+
+/**
+ * Currency followed by the amount in words: R$ 15.000,00 (quinze mil reais)
+ */
+function currencyWithWords(value) {
+  return parseAmount(value) === null ? String(value) : `${currency(value)} (${currencyWords(value)})`;
+}
+
+const formatters = {
+  cpf,
+  cnpj,
+  cpfCnpj,
+  cep,
+  phone,
+  date,
+  dateLong,
+  currency,
+  currencyWords,
+  currencyWithWords,
+};
+
+/**
+ * Format a value with a named formatter or a custom function
+ * Empty values are returned as-is so missing fields stay blank
+ * @param {*} value - Raw value
+ * @param {string|Function} format - Formatter name or function
+ * @returns {string} Formatted value
+ */
+function formatValue(value, format) {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+
+  if (!format) {
+    return String(value);
+  }
+
+  if (typeof format === 'function') {
+    return format(value);
+  }
+
+  if (!formatters[format]) {
+    throw new Error(`Unknown formatter: ${format}. Must be one of: ${Object.keys(formatters).join(', ')}`);
+  }
+
+  return formatters[format](value);
+}
+
+module.exports = {
+  ...formatters,
+  formatters,
+  formatValue,
+  integerToWords,
+  onlyDigits,
+  parseAmount,
+  parseDate,
+};
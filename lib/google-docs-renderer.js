@@ -0,0 +1,153 @@
+/**
+ * Google Docs Renderer
+ *
+ * Renders contracts from Google Docs templates: the template is copied to Drive,
+ * its sections and placeholders are filled there and Drive exports the PDF
+ * (see lib/renderer.js for the renderer interface)
+ */
+
+const GoogleDocsClient = require('./google-docs');
+const settings = require('../config/settings');
+
+class GoogleDocsRenderer {
+  /**
+   * @param {GoogleDocsClient} googleDocs - Google Docs client (optional)
+   */
+  constructor(googleDocs = new GoogleDocsClient()) {
+    this.googleDocs = googleDocs;
+  }
+
+  /**
+   * Check that a template has a Google Doc to copy
+   * @param {Object} template - Template (see lib/template-router.js)
+   * @returns {string|null} Problem or null
+   */
+  getTemplateProblem(template) {
+    if (template.templateDocId) {
+      return null;
+    }
+
+    return template.templateDocIdEnv
+      ? `Template "${template.name}" reads its templateDocId from ${template.templateDocIdEnv}, which is not set`
+      : `Template "${template.name}" has no templateDocId configured`;
+  }
+
+  /**
+   * Throw when a template has no Google Doc to copy
+   * @param {Object} template - Template
+   */
+  assertTemplate(template) {
+    const problem = this.getTemplateProblem(template);
+    if (problem) {
+      throw new Error(problem);
+    }
+  }
+
+  /**
+   * Read the text of a template
+   * @param {Object} template - Template
+   * @returns {Promise<string>} Text of the body, headers, footers and footnotes
+   */
+  async getTemplateText(template) {
+    this.assertTemplate(template);
+    return this.googleDocs.getAllText(template.templateDocId);
+  }
+
+  /**
+   * Create the contract document in Drive
+   * @param {Object} params - { template, title, replacements, sections }
+   * @returns {Promise<Object>} Document { id, link, placeholderReport }
+   */
+  async render({ template, title, replacements, sections }) {
+    this.assertTemplate(template);
+
+    return this.googleDocs.createContract(
+      template.templateDocId,
+      title,
+      replacements,
+      settings.googleDrive.folderId,
+      [],
+      settings.googleDrive.shareRole,
+      sections
+    );
+  }
+
+  /**
+   * Render the contract from a temporary copy of the template and delete the copy
+   * The copy goes to the preview folder, never to the shared folder of the contracts
+   * @param {Object} params - { template, title, replacements, sections }
+   * @returns {Promise<Buffer>} PDF file buffer
+   */
+  async renderPreview({ template, title, replacements, sections }) {
+    this.assertTemplate(template);
+
+    if (!settings.googleDrive.previewFolderId) {
+      throw new Error('GOOGLE_PREVIEW_FOLDER_ID is not set, PDF previews need a folder for their temporary copies');
+    }
+
+    console.log('Rendering preview from a temporary copy...');
+    const copyId = await this.googleDocs.copyTemplate(
+      template.templateDocId,
+      `[PRÉVIA] ${title}`,
+      settings.googleDrive.previewFolderId
+    );
+
+    try {
+      await this.googleDocs.applyConditionalSections(copyId, sections);
+      await this.googleDocs.replacePlaceholders(copyId, replacements);
+      return await this.googleDocs.exportPdf(copyId);
+    } finally {
+      try {
+        await this.googleDocs.deleteFile(copyId);
+      } catch (error) {
+        console.error(`Temporary preview copy ${copyId} could not be deleted:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Export a contract document as PDF
+   * @param {Object} document - Document { id, link }
+   * @returns {Promise<Buffer>} PDF file buffer
+   */
+  async exportPdf(document) {
+    console.log(`Exporting document ${document.id} as PDF...`);
+    return this.googleDocs.exportPdf(document.id);
+  }
+
+  /**
+   * Share a contract document
+   * @param {Object} document - Document { id, link }
+   * @param {Array<string>} emails - Email addresses
+   * @param {string} role - 'reader', 'writer' or 'commenter'
+   * @returns {Promise<void>}
+   */
+  async share(document, emails, role) {
+    await this.googleDocs.shareDocument(document.id, emails, role);
+  }
+
+  /**
+   * Archive a replaced contract: prefix its title and move it to the archive folder
+   * @param {Object} document - Document { id, link }
+   * @returns {Promise<Object>} Archived document { id, name }
+   */
+  async archive(document) {
+    return this.googleDocs.archiveDocument(
+      document.id,
+      settings.googleDrive.archiveFolderId,
+      settings.googleDrive.archiveTitlePrefix
+    );
+  }
+
+  /**
+   * Get the document a Google Docs link points to
+   * @param {string} link - Link saved to the lead
+   * @returns {Object|null} Document { id, link } or null
+   */
+  getDocumentFromLink(link) {
+    const id = this.googleDocs.getDocumentIdFromLink(link);
+    return id ? { id, link } : null;
+  }
+}
+
+module.exports = GoogleDocsRenderer;
@@ -4,7 +4,36 @@
  * Handles document creation, placeholder replacement, and file management
  */
 
+const { Readable } = require('stream');
 const { google } = require('googleapis');
+const { findSectionRanges } = require('./sections');
+const { buildPlaceholderReport } = require('./template-lint');
+
+/**
+ * Visit every text run of a document's structural elements, in document order
+ * Runs inside tables and tables of contents are included
+ * @param {Array<Object>} content - Structural elements (body, header or footer content)
+ * @param {Function} visit - Called with each paragraph element that has a text run and the content it belongs to
+ */
+function walkTextRuns(content = [], visit) {
+  for (const element of content) {
+    if (element.paragraph) {
+      for (const part of element.paragraph.elements || []) {
+        if (part.textRun?.content) {
+          visit(part, content);
+        }
+      }
+    } else if (element.table) {
+      for (const row of element.table.tableRows || []) {
+        for (const cell of row.tableCells || []) {
+          walkTextRuns(cell.content, visit);
+        }
+      }
+    } else if (element.tableOfContents) {
+      walkTextRuns(element.tableOfContents.content, visit);
+    }
+  }
+}
 
 class GoogleDocsClient {
   constructor() {
@@ -86,12 +115,13 @@ class GoogleDocsClient {
    * Replace placeholders in a document
    * @param {string} documentId - Document ID
    * @param {Object} replacements - Key-value pairs of placeholders and their values
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Placeholder -> number of occurrences replaced
    */
   async replacePlaceholders(documentId, replacements) {
     try {
-      // Build requests for batch update
+      // Build requests for batch update, keeping the placeholder of each one to read the replies
       const requests = [];
+      const placeholders = [];
 
       for (const [placeholder, value] of Object.entries(replacements)) {
         // Skip if value is null or undefined
@@ -100,6 +130,7 @@ class GoogleDocsClient {
           continue;
         }
 
+        placeholders.push(placeholder);
         requests.push({
           replaceAllText: {
             containsText: {
@@ -113,24 +144,145 @@ class GoogleDocsClient {
 
       if (requests.length === 0) {
         console.warn('No valid replacements to make');
-        return;
+        return {};
       }
 
       // Execute batch update
-      await this.docs.documents.batchUpdate({
+      const response = await this.docs.documents.batchUpdate({
         documentId,
         requestBody: {
           requests,
         },
       });
 
+      // Replies come in the same order as the requests
+      const counts = {};
+      placeholders.forEach((placeholder, index) => {
+        counts[placeholder] = response.data.replies?.[index]?.replaceAllText?.occurrencesChanged || 0;
+      });
+
       console.log(`Replaced ${requests.length} placeholders in document ${documentId}`);
+      return counts;
     } catch (error) {
       console.error('Error replacing placeholders:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Read the text of a document with the index of every character
+   * Text inside tables is included; headers and footers are not
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} { text, indexes, segmentEnds } where indexes[i] is the document index of text[i]
+   *   and segmentEnds the offsets where the text of the body and of each table cell ends
+   */
+  async getDocumentText(documentId) {
+    try {
+      const response = await this.docs.documents.get({ documentId });
+
+      let text = '';
+      const indexes = [];
+      const segmentEnds = [];
+      let segment = null;
+
+      walkTextRuns(response.data.body?.content, (part, content) => {
+        if (segment && content !== segment) {
+          segmentEnds.push(text.length);
+        }
+        segment = content;
+
+        text += part.textRun.content;
+        for (let i = 0; i < part.textRun.content.length; i++) {
+          indexes.push(part.startIndex + i);
+        }
+      });
+
+      return { text, indexes, segmentEnds };
+    } catch (error) {
+      console.error('Error reading document text:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Read all the text of a document, including headers, footers and footnotes
+   * These are the parts replacePlaceholders reaches, so they are what a template lint needs
+   * @param {string} documentId - Document ID
+   * @returns {Promise<string>} Text of every part, separated by line breaks
+   */
+  async getAllText(documentId) {
+    try {
+      const response = await this.docs.documents.get({ documentId });
+      const { body, headers = {}, footers = {}, footnotes = {} } = response.data;
+
+      const parts = [body, ...Object.values(headers), ...Object.values(footers), ...Object.values(footnotes)];
+      let text = '';
+
+      for (const part of parts) {
+        walkTextRuns(part?.content, run => {
+          text += run.textRun.content;
+        });
+        text += '\n';
+      }
+
+      return text;
+    } catch (error) {
+      console.error('Error reading document text:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a filled document for placeholders that were not replaced
+   * @param {string} documentId - Document ID
+   * @param {Object} replaced - Placeholder -> occurrences replaced, from replacePlaceholders
+   * @returns {Promise<Object>} Report { replaced, notFound, leftover } (see buildPlaceholderReport)
+   */
+  async getPlaceholderReport(documentId, replaced) {
+    return buildPlaceholderReport(replaced, await this.getAllText(documentId));
+  }
+
+  /**
+   * Keep or delete the conditional sections of a document
+   * Blocks marked with [SE name]...[FIM SE] are deleted when their condition is false,
+   * and every marker is removed (see lib/sections.js)
+   * @param {string} documentId - Document ID
+   * @param {Object} states - Section name -> boolean, from evaluateSections
+   * @returns {Promise<void>}
+   */
+  async applyConditionalSections(documentId, states) {
+    try {
+      const { text, indexes, segmentEnds } = await this.getDocumentText(documentId);
+      const ranges = findSectionRanges(text, states, segmentEnds);
+
+      if (ranges.length === 0) {
+        return;
+      }
+
+      // Ranges come sorted from last to first, so earlier deletions don't shift later ones
+      const requests = ranges.map(range => ({
+        deleteContentRange: {
+          range: {
+            startIndex: indexes[range.start],
+            endIndex: indexes[range.end - 1] + 1,
+          },
+        },
+      }));
+
+      await this.docs.documents.batchUpdate({
+        documentId,
+        requestBody: {
+          requests,
+        },
+      });
+
+      console.log(`Applied ${ranges.length} conditional section deletions in document ${documentId}`);
+    } catch (error) {
+      console.error('Error applying conditional sections:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Move document to a specific folder
    * @param {string} fileId - Document ID
@@ -164,6 +316,178 @@ class GoogleDocsClient {
     }
   }
 
+  /**
+   * Archive a document: prefix its title and move it to the archive folder
+   * @param {string} fileId - Document ID
+   * @param {string} folderId - Archive folder ID (optional, the document stays where it is when empty)
+   * @param {string} titlePrefix - Text added before the current title
+   * @returns {Promise<Object>} Archived document info { id, name }
+   */
+  async archiveDocument(fileId, folderId = null, titlePrefix = '[ARQUIVADO]') {
+    try {
+      const file = await this.drive.files.get({
+        fileId,
+        fields: 'name',
+        supportsAllDrives: true,
+      });
+
+      const name = file.data.name.startsWith(titlePrefix)
+        ? file.data.name
+        : `${titlePrefix} ${file.data.name}`;
+
+      await this.drive.files.update({
+        fileId,
+        requestBody: { name },
+        supportsAllDrives: true,
+      });
+
+      if (folderId) {
+        await this.moveToFolder(fileId, folderId);
+      }
+
+      console.log(`Archived document ${fileId} as "${name}"`);
+      return { id: fileId, name };
+    } catch (error) {
+      console.error('Error archiving document:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Export a document as PDF
+   * @param {string} fileId - Document ID
+   * @returns {Promise<Buffer>} PDF file buffer
+   */
+  async exportPdf(fileId) {
+    try {
+      const response = await this.drive.files.export({
+        fileId,
+        mimeType: 'application/pdf',
+        supportsAllDrives: true,
+      }, {
+        responseType: 'arraybuffer',
+      });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('Error exporting document as PDF:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file permanently
+   * @param {string} fileId - File ID
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileId) {
+    try {
+      await this.drive.files.delete({
+        fileId,
+        supportsAllDrives: true,
+      });
+
+      console.log(`Deleted file ${fileId}`);
+    } catch (error) {
+      console.error('Error deleting file:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the folder a file is stored in
+   * @param {string} fileId - File ID
+   * @returns {Promise<string|null>} Folder ID or null if the file has no parent
+   */
+  async getParentFolderId(fileId) {
+    try {
+      const file = await this.drive.files.get({
+        fileId,
+        fields: 'parents',
+        supportsAllDrives: true,
+      });
+
+      return file.data.parents?.[0] || null;
+    } catch (error) {
+      console.error('Error fetching file parents:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a folder by name inside another folder, creating it if it doesn't exist
+   * @param {string} name - Folder name
+   * @param {string} parentId - Parent folder ID
+   * @returns {Promise<string>} Folder ID
+   */
+  async findOrCreateFolder(name, parentId) {
+    try {
+      const escapedName = name.replace(/\\/g, '\\\\').replace(/'/g, '\\\'');
+      const response = await this.drive.files.list({
+        q: `name = '${escapedName}' and '${parentId}' in parents and mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
+        fields: 'files(id)',
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+      });
+
+      if (response.data.files.length > 0) {
+        return response.data.files[0].id;
+      }
+
+      const folder = await this.drive.files.create({
+        requestBody: {
+          name,
+          mimeType: 'application/vnd.google-apps.folder',
+          parents: [parentId],
+        },
+        fields: 'id',
+        supportsAllDrives: true,
+      });
+
+      console.log(`Created folder "${name}" in ${parentId}: ${folder.data.id}`);
+      return folder.data.id;
+    } catch (error) {
+      console.error('Error finding or creating folder:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a PDF file
+   * @param {string} name - File name
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {string} folderId - Folder to upload to (optional, must be in a Shared Drive)
+   * @returns {Promise<Object>} Uploaded file info { id, link }
+   */
+  async uploadPdf(name, pdfBuffer, folderId = null) {
+    try {
+      const requestBody = {
+        name,
+        mimeType: 'application/pdf',
+      };
+
+      if (folderId) {
+        requestBody.parents = [folderId];
+      }
+
+      const response = await this.drive.files.create({
+        requestBody,
+        media: {
+          mimeType: 'application/pdf',
+          body: Readable.from(pdfBuffer),
+        },
+        fields: 'id, webViewLink',
+        supportsAllDrives: true,
+      });
+
+      console.log(`Uploaded "${name}": ${response.data.id}`);
+      return { id: response.data.id, link: response.data.webViewLink };
+    } catch (error) {
+      console.error('Error uploading PDF:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Share document with users
    * @param {string} fileId - Document ID
@@ -229,6 +553,18 @@ class GoogleDocsClient {
     }
   }
 
+  /**
+   * Extract the document ID from a Google Docs or Drive link
+   * @param {string} link - Document link (e.g. https://docs.google.com/document/d/ID/edit)
+   * @returns {string|null} Document ID or null if the link is not recognized
+   */
+  getDocumentIdFromLink(link) {
+    const match = String(link || '').match(/\/d\/([a-zA-Z0-9_-]+)/) ||
+                  String(link || '').match(/[?&]id=([a-zA-Z0-9_-]+)/);
+
+    return match ? match[1] : null;
+  }
+
   /**
    * Create contract document from template with replacements
    * @param {string} templateId - Template document ID
@@ -237,18 +573,40 @@ class GoogleDocsClient {
    * @param {string} folderId - Optional folder ID to move document to
    * @param {Array<string>} shareWith - Optional email addresses to share with
    * @param {string} shareRole - Share permission role
-   * @returns {Promise<Object>} Document info { id, link }
+   * @param {Object} sections - Optional conditional section states (name -> boolean)
+   * @returns {Promise<Object>} Document info { id, link, placeholderReport } (see getPlaceholderReport)
    */
-  async createContract(templateId, title, replacements, folderId = null, shareWith = [], shareRole = 'reader') {
+  async createContract(templateId, title, replacements, folderId = null, shareWith = [], shareRole = 'reader', sections = null) {
+    let newDocId = null;
+
     try {
       // Step 1: Copy template directly into destination folder
       // This avoids service account storage quota issues
       console.log('Creating document from template...');
-      const newDocId = await this.copyTemplate(templateId, title, folderId);
+      newDocId = await this.copyTemplate(templateId, title, folderId);
+
+      // Step 1b: Keep or delete conditional sections before filling placeholders
+      if (sections) {
+        console.log('Applying conditional sections...');
+        await this.applyConditionalSections(newDocId, sections);
+      }
 
       // Step 2: Replace placeholders
       console.log('Replacing placeholders...');
-      await this.replacePlaceholders(newDocId, replacements);
+      const replaced = await this.replacePlaceholders(newDocId, replacements);
+
+      // Step 2b: Look for tokens the replacements missed
+      // The document is already filled, so a failed check only loses the report
+      // (without one, PLACEHOLDER_CHECK_MODE=block keeps the contract from being signed)
+      let placeholderReport = null;
+      try {
+        placeholderReport = await this.getPlaceholderReport(newDocId, replaced);
+        if (placeholderReport.leftover.length > 0) {
+          console.warn(`Placeholders left in document ${newDocId}: ${placeholderReport.leftover.join(', ')}`);
+        }
+      } catch (error) {
+        console.error('Error checking for leftover placeholders:', error.message);
+      }
 
       // Note: File already created in destination folder, no need to move
 
@@ -265,9 +623,16 @@ class GoogleDocsClient {
       return {
         id: newDocId,
         link,
+        placeholderReport,
       };
     } catch (error) {
       console.error('Error creating contract:', error.message);
+
+      // The generate step is retried from scratch, so a half-filled copy would only be left behind
+      if (newDocId) {
+        await this.deleteFile(newDocId).catch(() => {});
+      }
+
       throw error;
     }
   }
@@ -0,0 +1,143 @@
+/**
+ * HTTP Helpers
+ *
+ * Small utilities shared by the API routes for working with incoming requests
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Read the raw request body, byte for byte as it was sent
+ * Routes that check a signature of the body must turn the body parser off
+ * (module.exports.config = { api: { bodyParser: false } }) so the stream is still unread
+ * @param {Object} req - Incoming request
+ * @returns {Promise<string>} Raw body as a UTF-8 string
+ */
+async function readRawBody(req) {
+  if (typeof req.rawBody === 'string') {
+    return req.rawBody;
+  }
+
+  if (Buffer.isBuffer(req.rawBody)) {
+    return req.rawBody.toString('utf8');
+  }
+
+  if (req.readable && !req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  // A body serialized back from req.body wouldn't have the bytes that were signed
+  throw new Error('The raw request body was already consumed, turn the body parser off for this route');
+}
+
+/**
+ * Get the parsed JSON body of a request
+ * Parses the raw body when there is one, so it is the same data that was verified
+ * @param {Object} req - Incoming request
+ * @param {string} rawBody - Raw body previously read with readRawBody
+ * @returns {Object} Parsed body (empty object if it cannot be parsed)
+ */
+function parseJsonBody(req, rawBody) {
+  if (!rawBody && req.body && typeof req.body === 'object') {
+    return req.body;
+  }
+
+  try {
+    return JSON.parse(rawBody || req.body || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Get the IP address of the client that made the request
+ * Vercel puts the original client IP first in x-forwarded-for
+ * @param {Object} req - Incoming request
+ * @returns {string|null} Client IP address
+ */
+function getClientIp(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  if (forwardedFor) {
+    return String(forwardedFor).split(',')[0].trim();
+  }
+
+  const ip = req.headers['x-real-ip'] || req.socket?.remoteAddress || null;
+
+  // Normalize IPv4-mapped IPv6 addresses (::ffff:1.2.3.4)
+  return ip ? String(ip).replace(/^::ffff:/, '') : null;
+}
+
+/**
+ * Check whether an IP address is in an allowlist
+ * Entries can be exact addresses or IPv4 CIDR ranges (e.g. 203.0.113.0/24)
+ * @param {string} ip - IP address to check
+ * @param {Array<string>} allowlist - Allowed addresses and ranges
+ * @returns {boolean} True if the IP is allowed
+ */
+function isIpAllowed(ip, allowlist) {
+  if (!ip) {
+    return false;
+  }
+
+  return allowlist.some(entry => {
+    if (!entry.includes('/')) {
+      return entry === ip;
+    }
+
+    const [range, bits] = entry.split('/');
+    const ipNumber = ipv4ToNumber(ip);
+    const rangeNumber = ipv4ToNumber(range);
+
+    if (ipNumber === null || rangeNumber === null) {
+      return false;
+    }
+
+    const mask = parseInt(bits) === 0 ? 0 : (~0 << (32 - parseInt(bits))) >>> 0;
+    return (ipNumber & mask) >>> 0 === (rangeNumber & mask) >>> 0;
+  });
+}
+
+/**
+ * Convert a dotted IPv4 address to a number
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} Address as an unsigned 32-bit number, or null if not IPv4
+ */
+function ipv4ToNumber(ip) {
+  const parts = String(ip).split('.');
+
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || parseInt(part) > 255)) {
+    return null;
+  }
+
+  return parts.reduce((number, part) => ((number << 8) + parseInt(part)) >>> 0, 0);
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} received - Value sent by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} True if both values are equal
+ */
+function safeEqual(received, expected) {
+  if (!received || !expected) {
+    return false;
+  }
+
+  // Hash both values so they always have the same length
+  const receivedHash = crypto.createHash('sha256').update(String(received)).digest();
+  const expectedHash = crypto.createHash('sha256').update(String(expected)).digest();
+
+  return crypto.timingSafeEqual(receivedHash, expectedHash);
+}
+
+module.exports = {
+  readRawBody,
+  parseJsonBody,
+  getClientIp,
+  isIpAllowed,
+  safeEqual,
+};
@@ -0,0 +1,134 @@
+/**
+ * Idempotency and Locking
+ *
+ * Guarantees that each lead is processed at most once per trigger rule,
+ * even when Kommo delivers the same webhook several times in parallel
+ *
+ * Keys in the store:
+ * - lock:{leadId}:{rule}       Held while the lead is being processed (expires after lockTtl)
+ * - processed:{leadId}:{rule}  Result of the successful run
+ * - event:{leadId}:{timestamp} Every webhook received for the lead and what was done with it
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const settings = require('../config/settings');
+
+/**
+ * Build the idempotency key for a lead and rule
+ * @param {number} leadId - Lead ID
+ * @param {string} ruleName - Trigger rule name
+ * @returns {string} Idempotency key
+ */
+function getIdempotencyKey(leadId, ruleName) {
+  return `${leadId}:${ruleName}`;
+}
+
+/**
+ * Try to take the processing lock for a key
+ * @param {string} key - Idempotency key
+ * @param {Object} options - { ttl } seconds before the lock expires (default lockTtl)
+ * @returns {Promise<string|null>} Lock token, or null if someone else holds the lock
+ */
+async function acquireLock(key, { ttl = settings.idempotency.lockTtl } = {}) {
+  const token = crypto.randomUUID();
+  const acquired = await getStore().add(`lock:${key}`, {
+    token,
+    acquiredAt: new Date().toISOString(),
+  }, { ttl });
+
+  return acquired ? token : null;
+}
+
+/**
+ * Release a lock taken with acquireLock
+ * The lock is left alone if it expired and was taken by another request meanwhile
+ * @param {string} key - Idempotency key
+ * @param {string} token - Token returned by acquireLock
+ * @returns {Promise<void>}
+ */
+async function releaseLock(key, token) {
+  const store = getStore();
+  const lock = await store.get(`lock:${key}`);
+
+  if (lock && lock.token === token) {
+    await store.delete(`lock:${key}`);
+  }
+}
+
+/**
+ * Get the result of a previous successful run
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object|null>} Processed record or null
+ */
+async function getProcessedRecord(key) {
+  return getStore().get(`processed:${key}`);
+}
+
+/**
+ * Store the result of a successful run
+ * @param {string} key - Idempotency key
+ * @param {Object} record - Data to keep (document IDs, links, steps)
+ * @returns {Promise<void>}
+ */
+async function saveProcessedRecord(key, record) {
+  await getStore().set(`processed:${key}`, {
+    ...record,
+    processedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Get the processed records of every rule for a lead
+ * @param {number} leadId - Lead ID
+ * @returns {Promise<Array<Object>>} Processed records
+ */
+async function listProcessedRecords(leadId) {
+  const store = getStore();
+  const keys = await store.keys(`processed:${leadId}:`);
+  const records = await Promise.all(keys.map(key => store.get(key)));
+
+  return records.filter(Boolean);
+}
+
+/**
+ * Remove the processed record so the lead can be processed again
+ * @param {string} key - Idempotency key
+ * @returns {Promise<void>}
+ */
+async function clearProcessedRecord(key) {
+  await getStore().delete(`processed:${key}`);
+}
+
+/**
+ * Record a webhook event and its outcome for auditing
+ * Failures are logged and never interrupt the webhook
+ * @param {number} leadId - Lead ID
+ * @param {Object} event - Event data ({ rule, pipelineId, statusId, outcome, ... })
+ * @returns {Promise<void>}
+ */
+async function recordEvent(leadId, event) {
+  try {
+    const receivedAt = new Date().toISOString();
+    const suffix = crypto.randomBytes(3).toString('hex');
+
+    await getStore().set(`event:${leadId}:${receivedAt}:${suffix}`, {
+      leadId,
+      ...event,
+      receivedAt,
+    }, { ttl: settings.idempotency.eventTtl });
+  } catch (error) {
+    console.error('Error recording webhook event:', error.message);
+  }
+}
+
+module.exports = {
+  getIdempotencyKey,
+  acquireLock,
+  releaseLock,
+  getProcessedRecord,
+  saveProcessedRecord,
+  listProcessedRecords,
+  clearProcessedRecord,
+  recordEvent,
+};
@@ -0,0 +1,337 @@
+/**
+ * Retry Queue
+ *
+ * Every failed contract run becomes a job that is retried with exponential backoff
+ * by /api/cron/retry-jobs, resuming from the step that failed
+ *
+ * Keys in the store:
+ * - job:{id}            Job { id, leadId, rule, pipelineId, statusId, step, pipelineState, status, attempts, ... }
+ * - job-status:{status}  Set of the job IDs with a status (done jobs expire, their IDs are dropped when listed)
+ * - job-due             Sorted set of the pending job IDs by next run time, read by the retry cron
+ * - job-index:built     Set once the indexes were built for the jobs saved before them
+ *
+ * Job status:
+ * - pending: waiting for nextRunAt
+ * - done: a retry finished every step (kept for jobTtl)
+ * - dead: failed maxAttempts times, waiting to be replayed by hand from /api/jobs
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const settings = require('../config/settings');
+
+const JOB_STATUSES = ['pending', 'done', 'dead'];
+
+// Jobs read per MGET
+const BATCH_SIZE = 100;
+
+/**
+ * Get the delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+function getBackoffDelay(attempts) {
+  const { baseDelay, maxDelay } = settings.retry;
+  return Math.min(baseDelay * 2 ** Math.max(attempts - 1, 0), maxDelay);
+}
+
+/**
+ * Build the error entry kept in the job history
+ * @param {string} step - Step that failed
+ * @param {string} error - Error message
+ * @returns {Object} { step, error, failedAt }
+ */
+function buildFailure(step, error) {
+  return { step, error, failedAt: new Date().toISOString() };
+}
+
+/**
+ * Save a job and keep the status and due-time indexes up to date
+ * @param {Object} job - Job
+ * @param {string} previousStatus - Status the job had before, null for a new job
+ * @param {Object} options - { ttl } for the record (optional)
+ * @returns {Promise<void>}
+ */
+async function saveJob(job, previousStatus = null, { ttl } = {}) {
+  const store = getStore();
+
+  await store.set(`job:${job.id}`, job, { ttl });
+  await store.sadd(`job-status:${job.status}`, job.id);
+
+  if (previousStatus && previousStatus !== job.status) {
+    await store.srem(`job-status:${previousStatus}`, job.id);
+  }
+
+  if (job.status === 'pending') {
+    await store.zadd('job-due', Date.parse(job.nextRunAt), job.id);
+  } else {
+    await store.zrem('job-due', job.id);
+  }
+}
+
+/**
+ * Get several jobs by ID, in batches
+ * @param {Array<string>} ids - Job IDs
+ * @returns {Promise<Array<Object|null>>} Jobs, null for the ones that expired
+ */
+async function getJobs(ids) {
+  const jobs = [];
+
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    jobs.push(...await getStore().mget(ids.slice(i, i + BATCH_SIZE).map(id => `job:${id}`)));
+  }
+
+  return jobs;
+}
+
+/**
+ * Build the indexes for the jobs saved before they existed
+ * Runs once per store: every job saved since is indexed by saveJob
+ * @returns {Promise<void>}
+ */
+async function ensureJobIndexes() {
+  const store = getStore();
+  if (await store.get('job-index:built')) {
+    return;
+  }
+
+  console.log('Building the retry queue indexes...');
+  const ids = (await store.keys('job:')).map(key => key.slice('job:'.length));
+
+  for (const job of (await getJobs(ids)).filter(Boolean)) {
+    await store.sadd(`job-status:${job.status}`, job.id);
+    if (job.status === 'pending') {
+      await store.zadd('job-due', Date.parse(job.nextRunAt), job.id);
+    }
+  }
+
+  await store.set('job-index:built', new Date().toISOString());
+  console.log(`Indexed ${ids.length} job(s)`);
+}
+
+/**
+ * Queue a failed run
+ * The failed run counts as the first attempt
+ * @param {Object} data - Job data
+ * @param {number} data.leadId - Lead ID
+ * @param {string} data.rule - Trigger rule name
+ * @param {string} data.pipelineId - Pipeline ID from the webhook
+ * @param {string} data.statusId - Status ID from the webhook
+ * @param {string} data.step - Step to resume from
+ * @param {Object} data.actions - Rule actions of the run, when they differ from the rule (optional)
+ * @param {Object} data.pipelineState - Pipeline state when the step failed (null to start over)
+ * @param {string} data.error - Error message
+ * @returns {Promise<Object>} Saved job
+ */
+async function enqueueJob({ leadId, rule, pipelineId, statusId, step, actions = null, pipelineState = null, error }) {
+  const now = new Date();
+  const job = {
+    id: crypto.randomUUID(),
+    leadId,
+    rule,
+    pipelineId: pipelineId || null,
+    statusId: statusId || null,
+    step,
+    actions,
+    pipelineState,
+    status: 'pending',
+    attempts: 1,
+    maxAttempts: settings.retry.maxAttempts,
+    nextRunAt: new Date(now.getTime() + getBackoffDelay(1) * 1000).toISOString(),
+    lastError: error,
+    failures: [buildFailure(step, error)],
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+
+  // A job that can't be retried goes straight to the dead-letter list
+  if (job.attempts >= job.maxAttempts) {
+    job.status = 'dead';
+    job.nextRunAt = null;
+  }
+
+  await saveJob(job);
+  console.log(`Queued retry job ${job.id} for lead ${leadId} (step "${step}", next run at ${job.nextRunAt})`);
+
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Job or null
+ */
+async function getJob(id) {
+  return getStore().get(`job:${id}`);
+}
+
+/**
+ * List jobs, oldest first
+ * @param {string} status - Only jobs with this status (optional)
+ * @returns {Promise<Array<Object>>} Jobs
+ */
+async function listJobs(status = null) {
+  const store = getStore();
+  await ensureJobIndexes();
+
+  const jobs = [];
+  for (const indexStatus of status ? [status] : JOB_STATUSES) {
+    const ids = await store.smembers(`job-status:${indexStatus}`);
+    const indexed = await getJobs(ids);
+
+    for (const [i, job] of indexed.entries()) {
+      if (!job) {
+        // Finished jobs expire after jobTtl
+        await store.srem(`job-status:${indexStatus}`, ids[i]);
+      } else if (job.status === indexStatus) {
+        jobs.push(job);
+      }
+    }
+  }
+
+  return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * List the pending jobs whose next attempt is due
+ * @returns {Promise<Array<Object>>} Due jobs, in next run order
+ */
+async function getDueJobs() {
+  await ensureJobIndexes();
+
+  const store = getStore();
+  const now = new Date().toISOString();
+  const ids = await store.zrangebyscore('job-due', -Infinity, Date.parse(now));
+  const jobs = await getJobs(ids);
+
+  for (const [i, job] of jobs.entries()) {
+    if (!job) {
+      await store.zrem('job-due', ids[i]);
+    }
+  }
+
+  // The record decides, the index can be behind a concurrent save
+  return jobs.filter(job => job && job.status === 'pending' && job.nextRunAt <= now);
+}
+
+/**
+ * Record a failed retry: schedule the next attempt or move the job to the dead-letter list
+ * @param {Object} job - Job that was retried
+ * @param {string} step - Step that failed
+ * @param {Object} pipelineState - Pipeline state when the step failed
+ * @param {string} error - Error message
+ * @returns {Promise<Object>} Updated job
+ */
+async function recordJobFailure(job, step, pipelineState, error) {
+  const attempts = job.attempts + 1;
+  const isDead = attempts >= job.maxAttempts;
+
+  const updated = {
+    ...job,
+    step,
+    pipelineState: pipelineState || job.pipelineState,
+    status: isDead ? 'dead' : 'pending',
+    attempts,
+    nextRunAt: isDead ? null : new Date(Date.now() + getBackoffDelay(attempts) * 1000).toISOString(),
+    lastError: error,
+    failures: [...job.failures, buildFailure(step, error)],
+    updatedAt: new Date().toISOString(),
+  };
+
+  await saveJob(updated, job.status);
+
+  if (isDead) {
+    console.error(`Job ${job.id} failed ${attempts} times, moved to the dead-letter list`);
+  } else {
+    console.warn(`Job ${job.id} failed (attempt ${attempts}/${job.maxAttempts}), next run at ${updated.nextRunAt}`);
+  }
+
+  return updated;
+}
+
+/**
+ * Move a job to the dead-letter list without retrying it again
+ * Used when retrying can't help, e.g. the lead fails validation
+ * @param {Object} job - Job that was retried
+ * @param {string} step - Step the job was at
+ * @param {string} error - Error message
+ * @returns {Promise<Object>} Updated job
+ */
+async function markJobDead(job, step, error) {
+  const updated = {
+    ...job,
+    step,
+    status: 'dead',
+    attempts: job.attempts + 1,
+    nextRunAt: null,
+    lastError: error,
+    failures: [...job.failures, buildFailure(step, error)],
+    updatedAt: new Date().toISOString(),
+  };
+
+  await saveJob(updated, job.status);
+  console.error(`Job ${job.id} moved to the dead-letter list: ${error}`);
+
+  return updated;
+}
+
+/**
+ * Mark a job as finished
+ * @param {Object} job - Job that was retried
+ * @param {Object} pipelineState - Final pipeline state
+ * @returns {Promise<Object>} Updated job
+ */
+async function markJobDone(job, pipelineState) {
+  const updated = {
+    ...job,
+    pipelineState,
+    status: 'done',
+    attempts: job.attempts + 1,
+    nextRunAt: null,
+    completedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  await saveJob(updated, job.status, { ttl: settings.retry.jobTtl });
+  console.log(`Job ${job.id} completed`);
+
+  return updated;
+}
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Updated job, or null if it doesn't exist
+ */
+async function replayJob(id) {
+  const job = await getJob(id);
+  if (!job) {
+    return null;
+  }
+
+  const updated = {
+    ...job,
+    status: 'pending',
+    attempts: 0,
+    nextRunAt: new Date().toISOString(),
+    replayedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  await saveJob(updated, job.status);
+  console.log(`Job ${id} replayed from step "${job.step}"`);
+
+  return updated;
+}
+
+module.exports = {
+  getBackoffDelay,
+  enqueueJob,
+  getJob,
+  listJobs,
+  getDueJobs,
+  recordJobFailure,
+  markJobDead,
+  markJobDone,
+  replayJob,
+};
@@ -0,0 +1,132 @@
+/**
+ * Kommo OAuth 2.0
+ *
+ * Exchanges authorization codes and refreshes tokens for the Kommo integration
+ * Tokens are kept in the configured store (see lib/store.js) so every function instance shares them
+ */
+
+const axios = require('axios');
+const { getStore } = require('./store');
+const { acquireLock, releaseLock } = require('./idempotency');
+const settings = require('../config/settings');
+
+const TOKENS_KEY = 'kommo:oauth-tokens';
+const REFRESH_LOCK_KEY = 'kommo:oauth-refresh';
+
+// Refresh a little before the access token actually expires
+const EXPIRY_MARGIN_SECONDS = 60;
+
+/**
+ * Check whether the OAuth integration is configured
+ * @returns {boolean} True if client ID and secret are set
+ */
+function isOAuthConfigured() {
+  const { clientId, clientSecret } = settings.kommo.oauth;
+  return !!(clientId && clientSecret);
+}
+
+/**
+ * Get the tokens saved by the last exchange or refresh
+ * @returns {Promise<Object|null>} { accessToken, refreshToken, expiresAt } or null
+ */
+async function getStoredTokens() {
+  return getStore().get(TOKENS_KEY);
+}
+
+/**
+ * Check whether a stored access token is expired (or about to)
+ * @param {Object} tokens - Stored tokens
+ * @returns {boolean} True if the token must be refreshed
+ */
+function isExpired(tokens) {
+  return !tokens.expiresAt || Date.now() >= tokens.expiresAt - EXPIRY_MARGIN_SECONDS * 1000;
+}
+
+/**
+ * Call the Kommo token endpoint and save the result
+ * @param {Object} params - Grant-specific parameters
+ * @param {string} baseURL - Kommo account URL
+ * @returns {Promise<Object>} Saved tokens
+ */
+async function requestTokens(params, baseURL) {
+  const { clientId, clientSecret, redirectUri } = settings.kommo.oauth;
+
+  try {
+    const response = await axios.post(`${baseURL}/oauth2/access_token`, {
+      client_id: clientId,
+      client_secret: clientSecret,
+      redirect_uri: redirectUri,
+      ...params,
+    });
+
+    const tokens = {
+      accessToken: response.data.access_token,
+      refreshToken: response.data.refresh_token,
+      expiresAt: Date.now() + response.data.expires_in * 1000,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await getStore().set(TOKENS_KEY, tokens);
+    return tokens;
+  } catch (error) {
+    console.error(`Error requesting Kommo tokens (${params.grant_type}):`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Exchange the authorization code received in the OAuth callback
+ * @param {string} code - Authorization code
+ * @param {string} baseURL - Kommo account URL (defaults to KOMMO_DOMAIN)
+ * @returns {Promise<Object>} Saved tokens
+ */
+async function exchangeAuthorizationCode(code, baseURL = process.env.KOMMO_DOMAIN) {
+  return requestTokens({ grant_type: 'authorization_code', code }, baseURL);
+}
+
+/**
+ * Refresh the access token
+ * Kommo refresh tokens can only be used once, so only one instance refreshes at a time;
+ * the others wait and pick up the new tokens from the store
+ * @param {Object} tokens - Tokens that need refreshing
+ * @returns {Promise<Object>} Fresh tokens
+ */
+async function refreshTokens(tokens) {
+  const lockToken = await acquireLock(REFRESH_LOCK_KEY, { ttl: 30 });
+
+  if (!lockToken) {
+    // Another instance is refreshing, wait for it to save the new tokens
+    for (let attempt = 0; attempt < 10; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      const latest = await getStoredTokens();
+      if (latest && latest.refreshToken !== tokens.refreshToken) {
+        return latest;
+      }
+    }
+
+    throw new Error('Timed out waiting for another instance to refresh the Kommo token');
+  }
+
+  try {
+    console.log('Refreshing Kommo access token...');
+    const refreshed = await requestTokens({
+      grant_type: 'refresh_token',
+      refresh_token: tokens.refreshToken,
+    }, process.env.KOMMO_DOMAIN);
+
+    console.log('Kommo access token refreshed');
+    return refreshed;
+  } finally {
+    // A slow refresh may outlive the lock, don't release one another instance took since
+    await releaseLock(REFRESH_LOCK_KEY, lockToken);
+  }
+}
+
+module.exports = {
+  isOAuthConfigured,
+  getStoredTokens,
+  isExpired,
+  exchangeAuthorizationCode,
+  refreshTokens,
+};
@@ -5,23 +5,86 @@
  */
 
 const axios = require('axios');
+const {
+  isOAuthConfigured,
+  getStoredTokens,
+  isExpired,
+  refreshTokens,
+} = require('./kommo-oauth');
 
 class KommoClient {
   constructor() {
     this.baseURL = process.env.KOMMO_DOMAIN; // e.g., https://yourcompany.kommo.com
-    this.accessToken = process.env.KOMMO_ACCESS_TOKEN;
+    this.accessToken = process.env.KOMMO_ACCESS_TOKEN; // Static long-lived token, used when OAuth has no tokens
+    this.oauthEnabled = isOAuthConfigured();
 
-    if (!this.baseURL || !this.accessToken) {
-      throw new Error('KOMMO_DOMAIN and KOMMO_ACCESS_TOKEN must be set in environment variables');
+    if (!this.baseURL || (!this.accessToken && !this.oauthEnabled)) {
+      throw new Error('KOMMO_DOMAIN and either KOMMO_ACCESS_TOKEN or KOMMO_CLIENT_ID/KOMMO_CLIENT_SECRET must be set in environment variables');
     }
 
     this.client = axios.create({
       baseURL: `${this.baseURL}/api/v4`,
       headers: {
-        'Authorization': `Bearer ${this.accessToken}`,
         'Content-Type': 'application/json',
       },
     });
+
+    // Resolve the token on every request so refreshed tokens are picked up
+    this.client.interceptors.request.use(async config => {
+      config.headers['Authorization'] = `Bearer ${await this.getAccessToken(config.forceTokenRefresh)}`;
+      config.forceTokenRefresh = false;
+      return config;
+    });
+
+    // On 401, refresh the OAuth token once and retry the request
+    this.client.interceptors.response.use(null, async error => {
+      const config = error.config;
+
+      if (error.response?.status !== 401 || !this.oauthEnabled || !config || config.retriedAfterRefresh) {
+        throw error;
+      }
+
+      console.warn('Kommo answered 401, refreshing the access token and retrying...');
+      config.retriedAfterRefresh = true;
+      config.forceTokenRefresh = true;
+      return this.client.request(config);
+    });
+  }
+
+  /**
+   * Get the access token to use for the next request
+   * Uses the stored OAuth tokens when available (refreshing them if expired),
+   * otherwise falls back to the static KOMMO_ACCESS_TOKEN
+   * @param {boolean} forceRefresh - Refresh the OAuth token even if it looks valid
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(forceRefresh = false) {
+    if (!this.oauthEnabled) {
+      return this.accessToken;
+    }
+
+    try {
+      let tokens = await getStoredTokens();
+
+      if (!tokens) {
+        if (!this.accessToken) {
+          throw new Error('Kommo OAuth is not authorized yet, install the integration to call /api/oauth/callback');
+        }
+        return this.accessToken;
+      }
+
+      if (forceRefresh || isExpired(tokens)) {
+        tokens = await refreshTokens(tokens);
+      }
+
+      return tokens.accessToken;
+    } catch (error) {
+      if (this.accessToken) {
+        console.error('Error getting Kommo OAuth token, falling back to KOMMO_ACCESS_TOKEN:', error.message);
+        return this.accessToken;
+      }
+      throw error;
+    }
   }
 
   /**
@@ -58,6 +121,36 @@ class KommoClient {
     }
   }
 
+  /**
+   * Get company details by ID
+   * @param {number} companyId - The company ID
+   * @returns {Promise<Object>} Company data
+   */
+  async getCompany(companyId) {
+    try {
+      const response = await this.client.get(`/companies/${companyId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching company from Kommo:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get user details by ID
+   * @param {number} userId - The user ID
+   * @returns {Promise<Object>} User data
+   */
+  async getUser(userId) {
+    try {
+      const response = await this.client.get(`/users/${userId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching user from Kommo:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   /**
    * Extract custom field value from lead or contact data
    * @param {Object} entity - Lead or contact object
@@ -120,6 +213,77 @@ class KommoClient {
     }
   }
 
+  /**
+   * Clear a custom field on a lead
+   * @param {number} leadId - The lead ID
+   * @param {string} fieldId - Custom field ID
+   * @returns {Promise<Object>} Updated lead data
+   */
+  async clearLeadCustomField(leadId, fieldId) {
+    try {
+      const response = await this.client.patch(`/leads/${leadId}`, {
+        custom_fields_values: [
+          {
+            field_id: parseInt(fieldId),
+            values: null,
+          },
+        ],
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error clearing lead custom field:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Search leads by a free-text query
+   * Kommo matches the query against the lead name and custom field values
+   * @param {string} query - Text to search for
+   * @returns {Promise<Array<Object>>} Matching leads
+   */
+  async findLeads(query) {
+    try {
+      const response = await this.client.get('/leads', {
+        params: {
+          query,
+          with: 'contacts',
+        },
+      });
+
+      // Kommo answers 204 No Content when nothing matches
+      return response.data?._embedded?.leads || [];
+    } catch (error) {
+      console.error('Error searching leads in Kommo:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a lead to another status (and optionally another pipeline)
+   * @param {number} leadId - The lead ID
+   * @param {string} statusId - Destination status ID
+   * @param {string} pipelineId - Destination pipeline ID (optional)
+   * @returns {Promise<Object>} Updated lead data
+   */
+  async updateLeadStatus(leadId, statusId, pipelineId = null) {
+    try {
+      const body = {
+        status_id: parseInt(statusId),
+      };
+
+      if (pipelineId) {
+        body.pipeline_id = parseInt(pipelineId);
+      }
+
+      const response = await this.client.patch(`/leads/${leadId}`, body);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating lead status:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   /**
    * Add a note to a lead
    * @param {number} leadId - The lead ID
@@ -145,13 +309,149 @@ class KommoClient {
   }
 
   /**
-   * Get all custom fields for debugging/discovery
-   * @returns {Promise<Object>} Custom fields data
+   * Create a task linked to a lead
+   * @param {number} leadId - The lead ID
+   * @param {string} text - Task description
+   * @param {Object} options - Optional task settings
+   * @param {number} options.responsibleUserId - User the task is assigned to
+   * @param {number} options.completeTill - Deadline as a Unix timestamp (defaults to 24 hours from now)
+   * @param {number} options.taskTypeId - Task type (1 = follow-up, 2 = meeting)
+   * @returns {Promise<Object>} Created task data
    */
-  async getCustomFields() {
+  async createTask(leadId, text, { responsibleUserId = null, completeTill = null, taskTypeId = 1 } = {}) {
     try {
-      const response = await this.client.get('/leads/custom_fields');
+      const task = {
+        text,
+        entity_id: parseInt(leadId),
+        entity_type: 'leads',
+        task_type_id: parseInt(taskTypeId),
+        complete_till: completeTill || Math.floor(Date.now() / 1000) + 24 * 60 * 60,
+      };
+
+      if (responsibleUserId) {
+        task.responsible_user_id = parseInt(responsibleUserId);
+      }
+
+      const response = await this.client.post('/tasks', [task]);
       return response.data;
+    } catch (error) {
+      console.error('Error creating task in Kommo:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file to the Kommo file storage (Drive)
+   * Kommo takes uploads in sessions: the file is sent in parts of at most max_part_size bytes
+   * @param {string} fileName - File name
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} Uploaded file { uuid, versionUuid, name }
+   */
+  async uploadFile(fileName, buffer, contentType = 'application/pdf') {
+    try {
+      const account = await this.client.get('/account', { params: { with: 'drive_url' } });
+      const headers = { 'Authorization': `Bearer ${await this.getAccessToken()}` };
+
+      const session = await axios.post(`${account.data.drive_url}/v1.0/sessions`, {
+        file_name: fileName,
+        file_size: buffer.length,
+        content_type: contentType,
+      }, { headers });
+
+      const partSize = session.data.max_part_size || buffer.length;
+      let uploadUrl = session.data.upload_url;
+      let result = null;
+
+      for (let offset = 0; offset < buffer.length; offset += partSize) {
+        const response = await axios.post(uploadUrl, buffer.subarray(offset, offset + partSize), {
+          headers: { ...headers, 'Content-Type': 'application/octet-stream' },
+          maxBodyLength: Infinity,
+        });
+
+        result = response.data;
+        uploadUrl = response.data.next_url;
+      }
+
+      if (!result?.uuid) {
+        throw new Error(`Kommo did not finish the upload of ${fileName}`);
+      }
+
+      return { uuid: result.uuid, versionUuid: result.version_uuid, name: result.name || fileName };
+    } catch (error) {
+      console.error('Error uploading file to Kommo:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach an uploaded file to a lead (Files tab of the lead card)
+   * @param {number} leadId - The lead ID
+   * @param {string} fileUuid - UUID returned by uploadFile
+   * @returns {Promise<Object>} Response data
+   */
+  async attachFileToLead(leadId, fileUuid) {
+    try {
+      const response = await this.client.put(`/leads/${leadId}/files`, [
+        {
+          file_uuid: fileUuid,
+        },
+      ]);
+      return response.data;
+    } catch (error) {
+      console.error('Error attaching file to lead:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a note with an uploaded file to a lead
+   * @param {number} leadId - The lead ID
+   * @param {Object} file - File returned by uploadFile
+   * @returns {Promise<Object>} Created note data
+   */
+  async addFileNoteToLead(leadId, file) {
+    try {
+      const response = await this.client.post('/leads/notes', [
+        {
+          entity_id: parseInt(leadId),
+          note_type: 'attachment',
+          params: {
+            file_uuid: file.uuid,
+            version_uuid: file.versionUuid,
+            file_name: file.name,
+            original_name: file.name,
+          },
+        },
+      ]);
+      return response.data;
+    } catch (error) {
+      console.error('Error adding file note to lead:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all custom fields for debugging/discovery
+   * Follows the pages until Kommo has no next page, so accounts with more than 250 fields get them all
+   * @param {string} entityType - 'leads', 'contacts' or 'companies'
+   * @returns {Promise<Object>} Custom fields data ({ _embedded: { custom_fields } } with every page)
+   */
+  async getCustomFields(entityType = 'leads') {
+    try {
+      const customFields = [];
+
+      for (let page = 1; ; page++) {
+        const response = await this.client.get(`/${entityType}/custom_fields`, { params: { limit: 250, page } });
+
+        // Kommo answers 204 with no body past the last page
+        customFields.push(...(response.data?._embedded?.custom_fields || []));
+        if (!response.data?._links?.next) {
+          break;
+        }
+      }
+
+      return { _embedded: { custom_fields: customFields } };
     } catch (error) {
       console.error('Error fetching custom fields:', error.response?.data || error.message);
       throw error;
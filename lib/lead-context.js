@@ -0,0 +1,171 @@
+/**
+ * Lead Context
+ *
+ * Resolves mapping sources for a lead, fetching the linked contact,
+ * company and responsible user from Kommo only when a source needs them
+ *
+ * Source syntax:
+ * - '764177' or 'lead.764177': Lead custom field by ID
+ * - 'lead.name', 'lead.price', 'lead.id', ...: Lead system field
+ * - 'lead.responsible_user': Name of the responsible user
+ * - 'contact.EMAIL', 'contact.PHONE': Email/phone of the main contact
+ * - 'contact.name', 'contact.first_name', ...: Main contact system field
+ * - 'contact.770001': Main contact custom field by ID
+ * - 'company.name', 'company.770002', 'company.PHONE', ...: Linked company, same rules as contact
+ * - Any other upper-case name (e.g. 'contact.POSITION') is matched against the field code
+ */
+
+class LeadContext {
+  /**
+   * @param {KommoClient} kommo - Kommo client
+   * @param {Object} lead - Lead object from Kommo API (fetched with contacts)
+   */
+  constructor(kommo, lead) {
+    this.kommo = kommo;
+    this.lead = lead;
+    this.cache = {};
+  }
+
+  /**
+   * Load a related entity once and keep it for later sources
+   * Errors are logged and resolve to null so the fallback chain can continue
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function returning the entity
+   * @returns {Promise<Object|null>} Entity or null
+   */
+  async load(key, loader) {
+    if (!(key in this.cache)) {
+      this.cache[key] = loader().catch(error => {
+        console.error(`Error loading ${key} for lead ${this.lead.id}:`, error.message);
+        return null;
+      });
+    }
+
+    return this.cache[key];
+  }
+
+  /**
+   * Get the main contact of the lead with all its fields
+   * @returns {Promise<Object|null>} Contact or null if the lead has no contact
+   */
+  async getMainContact() {
+    const contacts = this.lead._embedded?.contacts || [];
+    const mainContact = contacts.find(contact => contact.is_main) || contacts[0];
+
+    if (!mainContact) {
+      return null;
+    }
+
+    return this.load(`contact:${mainContact.id}`, () => this.kommo.getContact(mainContact.id));
+  }
+
+  /**
+   * Get the company linked to the lead with all its fields
+   * @returns {Promise<Object|null>} Company or null if the lead has no company
+   */
+  async getCompany() {
+    const company = this.lead._embedded?.companies?.[0];
+
+    if (!company) {
+      return null;
+    }
+
+    return this.load(`company:${company.id}`, () => this.kommo.getCompany(company.id));
+  }
+
+  /**
+   * Get the name of the user responsible for the lead
+   * @returns {Promise<string|null>} User name or null
+   */
+  async getResponsibleUserName() {
+    const userId = this.lead.responsible_user_id;
+
+    if (!userId) {
+      return null;
+    }
+
+    const user = await this.load(`user:${userId}`, () => this.kommo.getUser(userId));
+    return user?.name || null;
+  }
+
+  /**
+   * Read a field from a lead, contact or company
+   * @param {Object} entity - Kommo entity
+   * @param {string} field - Custom field ID, field code or system field name
+   * @returns {*} Field value or null
+   */
+  getEntityValue(entity, field) {
+    if (!entity) {
+      return null;
+    }
+
+    if (/^\d+$/.test(field)) {
+      return this.kommo.getCustomFieldValue(entity, field);
+    }
+
+    if (field === 'EMAIL') {
+      return this.kommo.getContactEmail(entity);
+    }
+
+    if (field === 'PHONE') {
+      return this.kommo.getContactPhone(entity);
+    }
+
+    if (/^[A-Z_]+$/.test(field)) {
+      const customField = (entity.custom_fields_values || []).find(f => f.field_code === field);
+      return customField?.values?.[0]?.value ?? null;
+    }
+
+    return entity[field] ?? null;
+  }
+
+  /**
+   * Resolve a single source
+   * @param {string} source - Source expression (see the top of this file)
+   * @returns {Promise<*>} Raw value or null if empty
+   */
+  async resolve(source) {
+    const text = String(source);
+    const separator = text.indexOf('.');
+    const entityName = separator === -1 ? 'lead' : text.slice(0, separator);
+    const field = separator === -1 ? text : text.slice(separator + 1);
+
+    let value;
+    switch (entityName) {
+      case 'lead':
+        value = field === 'responsible_user'
+          ? await this.getResponsibleUserName()
+          : this.getEntityValue(this.lead, field);
+        break;
+      case 'contact':
+        value = this.getEntityValue(await this.getMainContact(), field);
+        break;
+      case 'company':
+        value = this.getEntityValue(await this.getCompany(), field);
+        break;
+      default:
+        throw new Error(`Unknown mapping source: ${text}. Must start with lead., contact. or company.`);
+    }
+
+    return value === undefined || value === '' ? null : value;
+  }
+
+  /**
+   * Resolve a chain of sources, returning the first non-empty value
+   * @param {string|Array<string>} sources - Source or list of sources in order of preference
+   * @returns {Promise<Object>} { value, source } (both null when every source is empty)
+   */
+  async resolveFirst(sources) {
+    for (const source of [].concat(sources)) {
+      const value = await this.resolve(source);
+
+      if (value !== null) {
+        return { value, source };
+      }
+    }
+
+    return { value: null, source: null };
+  }
+}
+
+module.exports = LeadContext;
@@ -0,0 +1,107 @@
+/**
+ * Lead Matching
+ *
+ * Checks whether a lead matches a routing rule
+ * Shared by every feature that picks configuration per pipeline, status or field value
+ */
+
+/**
+ * Get every value of a custom field as strings
+ * Includes the enum ID and code so enum fields can be matched by label or ID
+ * @param {Object} lead - Lead object from Kommo API
+ * @param {string} fieldId - Custom field ID
+ * @returns {Array<string>} Field values (empty if the field is not set)
+ */
+function getFieldValues(lead, fieldId) {
+  const customFields = lead.custom_fields_values || [];
+  const field = customFields.find(f => f.field_id === parseInt(fieldId));
+
+  if (!field || !field.values) {
+    return [];
+  }
+
+  const values = [];
+  for (const value of field.values) {
+    for (const key of ['value', 'enum_id', 'enum_code', 'enum']) {
+      if (value[key] !== undefined && value[key] !== null && value[key] !== '') {
+        values.push(String(value[key]));
+      }
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Check whether a lead satisfies a single field condition
+ *
+ * Supported conditions:
+ * - { fieldId, values }: the field contains one of the values (label or enum ID)
+ * - { fieldId, notEmpty: true }: the field has a value
+ * - { fieldId, empty: true }: the field has no value
+ *
+ * @param {Object} condition - Field condition
+ * @param {Object} lead - Lead object from Kommo API
+ * @returns {boolean} True if the condition holds
+ */
+function matchesCondition(condition, lead) {
+  const actual = getFieldValues(lead, condition.fieldId);
+
+  if (condition.notEmpty) {
+    return actual.length > 0;
+  }
+
+  if (condition.empty) {
+    return actual.length === 0;
+  }
+
+  const expected = [].concat(condition.values ?? condition.value ?? []).map(String);
+  return actual.some(value => expected.includes(value));
+}
+
+/**
+ * Check whether a lead matches a rule
+ *
+ * Supported rule keys (all optional, every key present must match):
+ * - pipelineId: pipeline ID the lead must be in
+ * - statusId: status ID the lead must be in
+ * - fieldId + values: the custom field must contain one of the values (label or enum ID)
+ * - conditions: list of field conditions that must all hold (see matchesCondition)
+ *
+ * @param {Object} match - Rule to check
+ * @param {Object} context - { lead, pipelineId, statusId } (IDs from the webhook take precedence over the lead)
+ * @returns {boolean} True if the lead matches
+ */
+function matchesLead(match, context) {
+  if (!match) {
+    return true;
+  }
+
+  const { lead = {} } = context;
+  const pipelineId = context.pipelineId || lead.pipeline_id;
+  const statusId = context.statusId || lead.status_id;
+
+  if (match.pipelineId && parseInt(pipelineId) !== parseInt(match.pipelineId)) {
+    return false;
+  }
+
+  if (match.statusId && parseInt(statusId) !== parseInt(match.statusId)) {
+    return false;
+  }
+
+  if (match.fieldId && !matchesCondition(match, lead)) {
+    return false;
+  }
+
+  if (match.conditions && !match.conditions.every(condition => matchesCondition(condition, lead))) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  getFieldValues,
+  matchesCondition,
+  matchesLead,
+};
@@ -0,0 +1,75 @@
+/**
+ * Phone Numbers
+ *
+ * Normalizes the phone numbers typed in Kommo to E.164 (+5511987654321),
+ * the format the signature providers expect for WhatsApp and SMS delivery
+ */
+
+const { onlyDigits } = require('./formatters');
+const settings = require('../config/settings');
+
+/**
+ * Normalize a phone number to E.164
+ * Numbers without a country code get the default one; a leading trunk 0 is dropped
+ * @param {*} value - Phone number as typed (e.g. "(11) 98765-4321", "011 98765 4321", "+55 11 98765-4321")
+ * @param {string} countryCode - Country code for numbers without one (defaults to settings.autentique.phoneCountryCode)
+ * @returns {string|null} E.164 number or null if it can't be normalized
+ */
+function toE164(value, countryCode = settings.autentique.phoneCountryCode) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  let digits = onlyDigits(text);
+
+  if (text.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    // International call prefix (00 55 11 ...)
+    digits = digits.slice(2);
+  } else {
+    digits = digits.replace(/^0+/, '');
+
+    // Brazilian numbers are sometimes saved with the country code but without the +
+    const hasCountryCode = countryCode === '55'
+      ? (digits.length === 12 || digits.length === 13) && digits.startsWith('55')
+      : digits.startsWith(countryCode) && digits.length > 10;
+
+    if (!hasCountryCode) {
+      digits = `${countryCode}${digits}`;
+    }
+  }
+
+  if (digits.length < 8 || digits.length > 15) {
+    return null;
+  }
+
+  // Brazil: 55 + area code + 8 (landline) or 9 (mobile) digits
+  if (digits.startsWith('55') && digits.length !== 12 && digits.length !== 13) {
+    return null;
+  }
+
+  return `+${digits}`;
+}
+
+/**
+ * Check whether an E.164 number can receive WhatsApp and SMS messages
+ * Only Brazilian numbers can be told apart (mobiles have 9 digits starting with 9), others are accepted
+ * @param {string} phone - E.164 number
+ * @returns {boolean} True if the number looks like a mobile
+ */
+function isMobilePhone(phone) {
+  const digits = onlyDigits(phone);
+
+  if (digits.startsWith('55')) {
+    return digits.length === 13 && digits[4] === '9';
+  }
+
+  return digits.length >= 8;
+}
+
+module.exports = {
+  toE164,
+  isMobilePhone,
+};
@@ -0,0 +1,46 @@
+/**
+ * Contract Renderers
+ *
+ * A renderer turns a template and the resolved values into the contract document
+ * and its PDF. The pipeline, the preview and the admin endpoints only talk to the
+ * renderer selected in settings.renderer.type:
+ *
+ * - google: Google Docs templates copied and filled in Drive (lib/google-docs-renderer.js)
+ * - docx: local .docx templates filled in memory and converted with LibreOffice (lib/docx-renderer.js)
+ *
+ * Every renderer implements:
+ * - getTemplateProblem(template)     Why the template can't be rendered, or null
+ * - getTemplateText(template)        Text of the template, for the template lint
+ * - render({ template, title, replacements, sections })  Document { id, link, placeholderReport }
+ * - renderPreview({ template, title, replacements, sections })  PDF buffer, nothing is kept
+ * - exportPdf(document)              PDF buffer of a rendered document
+ * - share(document, emails, role)    Share a document, 'skipped' if the renderer can't
+ * - archive(document)                Mark a replaced document as archived { id, name }
+ * - getDocumentFromLink(link)        Document { id, link } a lead link points to, or null
+ */
+
+const settings = require('../config/settings');
+
+const RENDERERS = {
+  google: () => require('./google-docs-renderer'),
+  docx: () => require('./docx-renderer'),
+};
+
+/**
+ * Create the configured renderer
+ * @param {string} type - Renderer type (defaults to settings.renderer.type)
+ * @returns {Object} Renderer
+ */
+function createRenderer(type = settings.renderer.type) {
+  const load = RENDERERS[type];
+  if (!load) {
+    throw new Error(`Unknown contract renderer "${type}", use one of: ${Object.keys(RENDERERS).join(', ')}`);
+  }
+
+  const Renderer = load();
+  return new Renderer();
+}
+
+module.exports = {
+  createRenderer,
+};
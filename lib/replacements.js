@@ -0,0 +1,83 @@
+/**
+ * Placeholder Replacements
+ *
+ * Resolves a field mapping (see config/contract-config.json) against a lead
+ * and produces the values that go into the contract
+ */
+
+const { formatValue } = require('./formatters');
+
+/**
+ * Normalize a field mapping entry
+ * Entries can be a plain placeholder string or an object with options
+ * @param {string} source - Mapping key (source expression, see lib/lead-context.js)
+ * @param {string|Object} entry - Mapping entry
+ * @returns {Object} { placeholder, format, sources, required, validate }
+ */
+function normalizeMappingEntry(source, entry) {
+  const options = typeof entry === 'string' ? { placeholder: entry } : entry;
+
+  return {
+    ...options,
+    format: options.format || null,
+    required: !!options.required,
+    validate: options.validate || null,
+    // The key is tried first, then each fallback in order
+    sources: [source, ...[].concat(options.fallback || [])],
+  };
+}
+
+/**
+ * Normalize every entry of a mapping key
+ * A key can hold a list of entries, so one source fills several placeholders
+ * (e.g. the same date in full and as dd/mm/yyyy)
+ * @param {string} source - Mapping key (source expression, see lib/lead-context.js)
+ * @param {string|Object|Array} entry - Mapping entry or list of entries
+ * @returns {Array<Object>} Normalized entries (see normalizeMappingEntry)
+ */
+function normalizeMappingEntries(source, entry) {
+  return [].concat(entry).map(item => normalizeMappingEntry(source, item));
+}
+
+/**
+ * Resolve every entry of a field mapping for a lead
+ * @param {LeadContext} leadContext - Context of the lead being processed
+ * @param {Object} fieldMapping - Field mapping (source -> entry or list of entries)
+ * @returns {Promise<Object>} { replacements, fields } where fields lists { placeholder, source, rawValue, value, required, validate, formatError }
+ */
+async function buildReplacements(leadContext, fieldMapping) {
+  const replacements = {};
+  const fields = [];
+
+  const entries = Object.entries(fieldMapping).flatMap(([key, entry]) => normalizeMappingEntries(key, entry));
+
+  for (const { placeholder, format, sources, required, validate } of entries) {
+    const key = sources[0];
+    const { value: rawValue, source } = await leadContext.resolveFirst(sources);
+
+    let value = '';
+    let formatError = null;
+    if (rawValue !== null) {
+      try {
+        value = formatValue(rawValue, format);
+      } catch (error) {
+        // A bad formatter name must not block the contract, fall back to the raw value
+        console.error(`Error formatting ${placeholder}:`, error.message);
+        value = String(rawValue);
+        formatError = error.message;
+      }
+    }
+
+    replacements[placeholder] = value;
+    fields.push({ placeholder, source, rawValue, value, required, validate, formatError });
+    console.log(`${placeholder} = "${value}"${source && source !== key ? ` (from ${source})` : ''}`);
+  }
+
+  return { replacements, fields };
+}
+
+module.exports = {
+  normalizeMappingEntry,
+  normalizeMappingEntries,
+  buildReplacements,
+};
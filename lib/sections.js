@@ -0,0 +1,151 @@
+/**
+ * Conditional Sections
+ *
+ * Templates can wrap optional clauses in block markers:
+ *
+ *   [SE parcelado] ... clause ... [FIM SE]
+ *   [SE NÃO parcelado] ... clause ... [FIM SE]
+ *
+ * Each section name is configured in config/sections.js (or in the template rule)
+ * with a condition on a mapping source. Blocks whose condition is false are
+ * removed, and the markers of every block are removed from the final document.
+ */
+
+const MARKER_PATTERN = /\[SE (N[ÃA]O )?([^\]]+?)\]|\[FIM SE\]/gi;
+
+/**
+ * Normalize a section name for lookups
+ * @param {string} name - Section name
+ * @returns {string} Lower-case trimmed name
+ */
+function normalizeSectionName(name) {
+  return String(name).trim().toLowerCase();
+}
+
+/**
+ * Check whether a section condition holds for a value
+ *
+ * Supported conditions:
+ * - { source, values }: the value is one of the values
+ * - { source, notEmpty: true }: the value is set
+ * - { source, empty: true }: the value is not set
+ * - { source }: the value is set and not false (checkbox fields)
+ *
+ * @param {Object} condition - Section condition
+ * @param {*} value - Resolved value of the source
+ * @returns {boolean} True if the section should be kept
+ */
+function matchesSectionCondition(condition, value) {
+  const isEmpty = value === null || value === undefined || value === '';
+
+  if (condition.notEmpty) {
+    return !isEmpty;
+  }
+
+  if (condition.empty) {
+    return isEmpty;
+  }
+
+  if (condition.values !== undefined) {
+    return [].concat(condition.values).map(String).includes(String(value));
+  }
+
+  return !isEmpty && value !== false && value !== 'false';
+}
+
+/**
+ * Evaluate every configured section for a lead
+ * @param {LeadContext} leadContext - Context of the lead being processed
+ * @param {Object} sections - Section name -> condition
+ * @returns {Promise<Object>} Section name (normalized) -> boolean
+ */
+async function evaluateSections(leadContext, sections = {}) {
+  const states = {};
+
+  for (const [name, condition] of Object.entries(sections)) {
+    const { value } = await leadContext.resolveFirst(condition.source);
+    states[normalizeSectionName(name)] = matchesSectionCondition(condition, value);
+  }
+
+  if (Object.keys(states).length > 0) {
+    console.log(`Sections: ${Object.entries(states).map(([name, kept]) => `${name}=${kept}`).join(', ')}`);
+  }
+
+  return states;
+}
+
+/**
+ * Find the text ranges to delete for the conditional sections in a text
+ * Markers alone on their line also take the line break with them, so no blank lines are left,
+ * except the last line break of a segment (the body or a table cell), which can't be deleted.
+ * Blocks to delete that cross segments are left untouched
+ * @param {string} text - Document text
+ * @param {Object} states - Section name (normalized) -> boolean, from evaluateSections
+ * @param {Array<number>} segmentEnds - Offsets where each segment of the text ends (the whole text is one segment by default)
+ * @returns {Array<Object>} Ranges { start, end } (end exclusive), sorted from last to first, never overlapping
+ */
+function findSectionRanges(text, states, segmentEnds = []) {
+  const ranges = [];
+  const stack = [];
+
+  // End of the segment a position belongs to
+  const segmentEnd = position => segmentEnds.find(end => end > position) ?? text.length;
+
+  // Extend a range to its trailing line break when it covers a whole line
+  const wholeLine = (start, end) => {
+    const startsLine = start === 0 || text[start - 1] === '\n';
+    const endsLine = text[end] === '\n' && end + 1 < segmentEnd(start);
+    return startsLine && endsLine ? end + 1 : end;
+  };
+
+  for (const match of text.matchAll(MARKER_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    if (match[2] !== undefined) {
+      stack.push({ start, end, name: normalizeSectionName(match[2]), negate: !!match[1] });
+      continue;
+    }
+
+    const open = stack.pop();
+    if (!open) {
+      console.warn(`Found [FIM SE] without a matching [SE ...] at position ${start}, ignoring`);
+      continue;
+    }
+
+    if (!(open.name in states)) {
+      console.warn(`Section "${open.name}" is not configured, keeping its content`);
+    }
+
+    const condition = open.name in states ? states[open.name] : true;
+    const keep = open.negate ? !condition : condition;
+
+    if (keep) {
+      ranges.push({ start: open.start, end: wholeLine(open.start, open.end) });
+      ranges.push({ start, end: wholeLine(start, end) });
+    } else if (segmentEnd(open.start) !== segmentEnd(start)) {
+      console.warn(`Section "${open.name}" starts and ends in different table cells, leaving it untouched`);
+    } else {
+      ranges.push({ start: open.start, end: wholeLine(open.start, end) });
+    }
+  }
+
+  for (const open of stack) {
+    console.warn(`Section "${open.name}" has no [FIM SE], leaving it untouched`);
+  }
+
+  // Drop ranges inside a larger removed block, then delete from the end so indexes stay valid
+  return ranges
+    .filter(range => !ranges.some(other => other !== range &&
+      other.start <= range.start && other.end >= range.end &&
+      (other.start !== range.start || other.end !== range.end)))
+    .sort((a, b) => b.start - a.start);
+}
+
+module.exports = {
+  MARKER_PATTERN,
+  normalizeSectionName,
+  matchesSectionCondition,
+  evaluateSections,
+  findSectionRanges,
+};
@@ -0,0 +1,152 @@
+/**
+ * Signature Providers
+ *
+ * A signature provider sends the contract PDF to an e-signature service and reports
+ * back on it. The pipeline, the signature webhooks and the regeneration only talk to
+ * the provider interface. Each contract uses the provider of its trigger rule, then
+ * the one of its template, then settings.signature.provider:
+ *
+ * - autentique: Autentique GraphQL API (lib/autentique.js)
+ * - clicksign: ClickSign REST API (lib/clicksign.js)
+ *
+ * Every provider implements:
+ * - name, label                       Provider name (saved with each sent document) and name shown to people
+ * - sendContractForSignature(pdf, documentName, signers, { sortable })
+ *                                     Sent document { provider, id, name, createdAt, signatures, primaryLink }
+ * - getDocument(id)                   Document { id, name, createdAt, signatures, signedFileUrl }, or null once deleted or cancelled
+ * - getSignatureStatus(document)      'pending', 'viewed', 'partially_signed', 'signed' or 'refused'
+ * - cancelDocument(id)                Cancel a document nobody has signed yet, false if it no longer exists
+ *                                     Throws for documents with signatures: Autentique can only delete documents
+ * - resendSignatureRequests(document, signatures)  Invite the given signatures of a document again
+ * - downloadSignedPdf(document)       Signed PDF buffer, with the signature certificate
+ * - getDocumentLink(id)               Link to the document in the provider's panel
+ * - webhookSecret                     Secret webhooks are checked with, null to skip the check
+ * - verifyWebhook(rawBody, headers)   Whether a webhook was signed with webhookSecret
+ * - parseWebhookEvent(payload)        Event { type, documentId, signerName, ignore }
+ *
+ * Documents list their signatures as
+ * { publicId, name, email, action, status, viewedAt, signedAt, refusedAt }
+ * with status 'pending', 'viewed', 'signed' or 'refused'
+ */
+
+const settings = require('../config/settings');
+
+const PROVIDERS = {
+  autentique: {
+    label: 'Autentique',
+    isEnabled: () => settings.autentique.enabled,
+    load: () => require('./autentique'),
+  },
+  clicksign: {
+    label: 'ClickSign',
+    isEnabled: () => settings.clicksign.enabled,
+    load: () => require('./clicksign'),
+  },
+};
+
+// Documents sent before the provider could be picked were all sent to Autentique
+const LEGACY_PROVIDER = 'autentique';
+
+/**
+ * Get the entry of a provider, throwing for unknown names
+ * @param {string} name - Provider name
+ * @returns {Object} { label, isEnabled, load }
+ */
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown signature provider "${name}", use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Create a signature provider
+ * @param {string} name - Provider name (defaults to settings.signature.provider)
+ * @returns {Object} Signature provider
+ */
+function createSignatureProvider(name = settings.signature.provider) {
+  const Provider = getProvider(name).load();
+  return new Provider();
+}
+
+/**
+ * Check whether a provider has its credentials configured
+ * @param {string} name - Provider name
+ * @returns {boolean} True if documents can be sent to it
+ */
+function isSignatureProviderEnabled(name = settings.signature.provider) {
+  return getProvider(name).isEnabled();
+}
+
+/**
+ * Get the name of a provider as shown in notes
+ * @param {string} name - Provider name (optional, for documents sent before providers could be picked)
+ * @returns {string} Label
+ */
+function getSignatureProviderLabel(name) {
+  return getProvider(name || LEGACY_PROVIDER).label;
+}
+
+/**
+ * Pick the provider of a contract
+ * @param {Object} rule - Trigger rule (see config/trigger-rules.js)
+ * @param {Object} template - Template (see lib/template-router.js)
+ * @returns {string} Provider name
+ */
+function resolveSignatureProvider(rule, template) {
+  const name = rule?.signatureProvider || template?.signatureProvider || settings.signature.provider;
+  getProvider(name);
+  return name;
+}
+
+/**
+ * Get the provider a stored document was sent to
+ * @param {Object} record - Processed record or contract with `signatureProvider`
+ * @returns {string} Provider name
+ */
+function getStoredSignatureProvider(record) {
+  return record?.signatureProvider || LEGACY_PROVIDER;
+}
+
+/**
+ * Work out the overall signature status from the signatures of a document
+ * @param {Array<Object>} signatures - Signatures { status }
+ * @returns {string} One of 'pending', 'viewed', 'partially_signed', 'signed', 'refused'
+ */
+function summarizeSignatures(signatures = []) {
+  if (signatures.length === 0) {
+    return 'pending';
+  }
+
+  if (signatures.some(signature => signature.status === 'refused')) {
+    return 'refused';
+  }
+
+  const signedCount = signatures.filter(signature => signature.status === 'signed').length;
+
+  if (signedCount === signatures.length) {
+    return 'signed';
+  }
+
+  if (signedCount > 0) {
+    return 'partially_signed';
+  }
+
+  if (signatures.some(signature => signature.status === 'viewed')) {
+    return 'viewed';
+  }
+
+  return 'pending';
+}
+
+module.exports = {
+  SIGNATURE_PROVIDERS: Object.keys(PROVIDERS),
+  createSignatureProvider,
+  isSignatureProviderEnabled,
+  getSignatureProviderLabel,
+  resolveSignatureProvider,
+  getStoredSignatureProvider,
+  summarizeSignatures,
+};
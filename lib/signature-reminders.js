@@ -0,0 +1,288 @@
+/**
+ * Signature Reminders and Expiry
+ *
+ * Run once a day by /api/cron/reminders over the contracts of the registry
+ * (see lib/contract-registry.js) that are still waiting for signatures:
+ *
+ * - remind: after afterDays, the signature request is sent again to the signers
+ *   who haven't signed, every intervalDays and at most maxReminders times, with a
+ *   follow-up task for the lead's responsible user
+ * - expire: after expireAfterDays, the pending signatures are cancelled and the
+ *   contract is marked as expired. Contracts someone has signed are never cancelled:
+ *   the lead's responsible user gets a task to follow them up instead
+ *
+ * Each contract is handled under the lead lock shared with the webhook, so a
+ * reminder never races a regeneration of the same contract
+ */
+
+const KommoClient = require('./kommo');
+const { createSignatureProvider, isSignatureProviderEnabled, getStoredSignatureProvider } = require('./signature-provider');
+const { getIdempotencyKey, acquireLock, releaseLock } = require('./idempotency');
+const {
+  listContracts,
+  recordContractError,
+  recordSignatureStatus,
+  recordSignatureReminder,
+  markContractExpired,
+  markContractExpiryFlagged,
+} = require('./contract-registry');
+const settings = require('../config/settings');
+
+// Contract statuses that are still waiting for signatures
+const PENDING_STATUSES = ['sent', 'viewed', 'partially_signed'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the days elapsed since a date
+ * @param {string} date - ISO date
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Days (fractional)
+ */
+function daysSince(date, now) {
+  return (now - new Date(date).getTime()) / DAY;
+}
+
+/**
+ * Work out what is due for a contract
+ * @param {Object} contract - Contract record
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} 'expire', 'remind' or null if nothing is due
+ */
+function getDueAction(contract, now = Date.now()) {
+  const config = settings.signatureReminders;
+  const reminders = contract.reminders || [];
+
+  if (config.expireAfterDays && !contract.expiryFlaggedAt && daysSince(contract.sentAt, now) >= config.expireAfterDays) {
+    return 'expire';
+  }
+
+  if (!config.enabled || reminders.length >= config.maxReminders) {
+    return null;
+  }
+
+  const lastReminder = reminders[reminders.length - 1];
+  const isDue = lastReminder
+    ? daysSince(lastReminder.at, now) >= config.intervalDays
+    : daysSince(contract.sentAt, now) >= config.afterDays;
+
+  return isDue ? 'remind' : null;
+}
+
+/**
+ * Get the signatures a reminder goes to
+ * In a sequence only the signer whose turn it is can sign
+ * @param {Object} contract - Contract record
+ * @param {Object} document - Document returned by provider.getDocument
+ * @returns {Array<Object>} Signatures that are not signed yet
+ */
+function getPendingSignatures(contract, document) {
+  const pending = document.signatures.filter(signature => ['pending', 'viewed'].includes(signature.status));
+  return contract.sortable ? pending.slice(0, 1) : pending;
+}
+
+/**
+ * Check every contract waiting for signatures and send the reminders or expire the ones that are due
+ * @returns {Promise<Object>} { due, processed, results }
+ */
+async function processPendingSignatures() {
+  const now = Date.now();
+  const contracts = (await listContracts({ statuses: PENDING_STATUSES }))
+    .filter(contract => contract.autentiqueDocumentId && contract.sentAt)
+    .map(contract => ({ contract, action: getDueAction(contract, now) }))
+    .filter(({ action }) => action)
+    .reverse();
+
+  console.log(`${contracts.length} contract(s) due for a reminder or expiry`);
+
+  const kommo = new KommoClient();
+  const providers = {};
+  const results = [];
+
+  for (const { contract, action } of contracts) {
+    // Leave the rest for the next run instead of hitting the function timeout
+    if (Date.now() - now > settings.signatureReminders.timeBudget * 1000) {
+      console.log('Time budget exhausted, leaving the remaining contracts for the next run');
+      break;
+    }
+
+    const providerName = getStoredSignatureProvider(contract);
+    if (!isSignatureProviderEnabled(providerName)) {
+      console.warn(`Signature provider "${providerName}" is not configured, skipping contract ${contract.id}`);
+      results.push({ contractId: contract.id, leadId: contract.leadId, action, outcome: 'skipped' });
+      continue;
+    }
+
+    const provider = providers[providerName] = providers[providerName] || createSignatureProvider(providerName);
+    results.push(await processContract({ kommo, provider, contract, action }));
+  }
+
+  return { due: contracts.length, processed: results.length, results };
+}
+
+/**
+ * Send the reminder or expire a single contract
+ * Errors are recorded in the contract and never stop the other contracts
+ * @param {Object} params - { kommo, provider, contract, action }
+ * @returns {Promise<Object>} Result { contractId, leadId, action, outcome }
+ */
+async function processContract({ kommo, provider, contract, action }) {
+  const result = { contractId: contract.id, leadId: contract.leadId, action, outcome: null };
+  const idempotencyKey = getIdempotencyKey(contract.leadId, contract.rule);
+  const lockToken = await acquireLock(idempotencyKey);
+
+  if (!lockToken) {
+    console.log(`Lead ${contract.leadId} is being processed right now, skipping contract ${contract.id}`);
+    return { ...result, outcome: 'locked' };
+  }
+
+  try {
+    // The registry may be behind if a webhook was missed: read the signatures back from the provider
+    const document = await provider.getDocument(contract.autentiqueDocumentId);
+    if (!document) {
+      console.warn(`Document ${contract.autentiqueDocumentId} not found in ${provider.label}, skipping`);
+      return { ...result, outcome: 'skipped' };
+    }
+
+    const status = provider.getSignatureStatus(document);
+    if (!['pending', 'viewed', 'partially_signed'].includes(status)) {
+      console.log(`Contract ${contract.id} is ${status} already, updating the registry`);
+      await recordSignatureStatus(document, status);
+      return { ...result, outcome: 'updated', status };
+    }
+
+    if (action === 'expire' && status === 'partially_signed') {
+      await flagPartiallySignedContract({ kommo, provider, contract, document });
+      return { ...result, outcome: 'flagged' };
+    }
+
+    if (action === 'expire') {
+      await expireContract({ kommo, provider, contract });
+      return { ...result, outcome: 'expired' };
+    }
+
+    const signatures = getPendingSignatures(contract, document);
+    await remindSigners({ kommo, provider, contract, document, signatures });
+    return { ...result, outcome: 'reminded', signers: signatures.map(signature => signature.name || signature.email) };
+  } catch (error) {
+    console.error(`Error processing contract ${contract.id} (${action}):`, error.message);
+    await recordContractError(contract.id, action, error.message);
+    return { ...result, outcome: 'failed', error: error.message };
+  } finally {
+    await releaseLock(idempotencyKey, lockToken);
+  }
+}
+
+/**
+ * Send the signature request again and create the follow-up task
+ * @param {Object} params - { kommo, provider, contract, document, signatures }
+ * @returns {Promise<void>}
+ */
+async function remindSigners({ kommo, provider, contract, document, signatures }) {
+  console.log(`Reminding ${signatures.length} signer(s) of contract ${contract.id} on ${provider.label}...`);
+  await provider.resendSignatureRequests(document, signatures);
+  const updated = await recordSignatureReminder(contract.id, signatures.map(signature => signature.publicId));
+
+  if (!settings.signatureReminders.createTask) {
+    return;
+  }
+
+  // Failures are logged, the reminder itself was already sent
+  try {
+    const leadData = await kommo.getLead(contract.leadId);
+    const lead = leadData._embedded?.leads?.[0] || leadData;
+    const days = Math.floor(daysSince(contract.sentAt, Date.now()));
+    const names = signatures.map(signature => signature.name || signature.email).join(', ');
+    const reminderCount = updated?.reminders?.length || (contract.reminders || []).length + 1;
+
+    const text = [
+      `Contrato aguardando assinatura há ${days} dia(s). Lembrete ${reminderCount} enviado para: ${names}`,
+      'Entre em contato para acompanhar a assinatura',
+      `${provider.label}: ${provider.getDocumentLink(document.id)}`,
+    ].join('\n');
+
+    await kommo.createTask(contract.leadId, text, {
+      responsibleUserId: lead.responsible_user_id,
+      completeTill: Math.floor(Date.now() / 1000) + settings.signatureReminders.taskDeadlineHours * 60 * 60,
+    });
+    console.log('Reminder task created in Kommo');
+  } catch (error) {
+    console.error('Error creating reminder task:', error.message);
+  }
+}
+
+/**
+ * Ask the lead's responsible user to follow up a partially signed contract past its deadline
+ * Cancelling it would throw away the signatures already given (Autentique deletes the document)
+ * @param {Object} params - { kommo, provider, contract, document }
+ * @returns {Promise<void>}
+ */
+async function flagPartiallySignedContract({ kommo, provider, contract, document }) {
+  console.log(`Contract ${contract.id} is partially signed, creating a task instead of expiring it...`);
+
+  const leadData = await kommo.getLead(contract.leadId);
+  const lead = leadData._embedded?.leads?.[0] || leadData;
+  const names = getPendingSignatures({ sortable: false }, document).map(signature => signature.name || signature.email).join(', ');
+
+  const text = [
+    `Prazo de assinatura de ${settings.signatureReminders.expireAfterDays} dia(s) expirado, mas o contrato já foi parcialmente assinado e não foi cancelado`,
+    `Assinaturas pendentes: ${names}`,
+    'Verifique com as partes se o contrato deve ser concluído ou cancelado',
+    `${provider.label}: ${provider.getDocumentLink(document.id)}`,
+  ].join('\n');
+
+  await kommo.createTask(contract.leadId, text, {
+    responsibleUserId: lead.responsible_user_id,
+    completeTill: Math.floor(Date.now() / 1000) + settings.signatureReminders.taskDeadlineHours * 60 * 60,
+  });
+  console.log('Expiry task created in Kommo');
+
+  await markContractExpiryFlagged(contract.id);
+}
+
+/**
+ * Cancel the pending signatures of a contract and mark the lead
+ * @param {Object} params - { kommo, provider, contract }
+ * @returns {Promise<void>}
+ */
+async function expireContract({ kommo, provider, contract }) {
+  const config = settings.signatureReminders;
+
+  console.log(`Expiring contract ${contract.id}, cancelling ${provider.label} document ${contract.autentiqueDocumentId}...`);
+  await provider.cancelDocument(contract.autentiqueDocumentId);
+  await markContractExpired(contract.id);
+
+  // The lead updates below are best effort: the document is cancelled either way
+  if (settings.signatureStatus.fieldId) {
+    try {
+      await kommo.updateLeadCustomField(contract.leadId, settings.signatureStatus.fieldId, settings.signatureStatus.labels.expired);
+      console.log('Signature status custom field updated');
+    } catch (error) {
+      console.error('Error updating signature status custom field:', error.message);
+    }
+  }
+
+  try {
+    await kommo.addNoteToLead(
+      contract.leadId,
+      `Contrato expirado: a assinatura não foi concluída em ${config.expireAfterDays} dia(s) e foi cancelada no ${provider.label}`
+    );
+    console.log('Expiry note posted to Kommo');
+  } catch (error) {
+    console.error('Error adding expiry note:', error.message);
+  }
+
+  if (config.expiredStatusId) {
+    try {
+      await kommo.updateLeadStatus(contract.leadId, config.expiredStatusId, config.expiredPipelineId);
+      console.log(`Lead moved to status ${config.expiredStatusId}`);
+    } catch (error) {
+      console.error('Error moving lead:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  getDueAction,
+  processPendingSignatures,
+};
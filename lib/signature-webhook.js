@@ -0,0 +1,299 @@
+/**
+ * Signature Webhooks
+ *
+ * Handles the document and signature events of a signature provider
+ * (see lib/signature-provider.js): updates the signature status of the matching
+ * Kommo lead and files the signed PDF once every party has signed
+ *
+ * Each provider has its own endpoint built with createSignatureWebhookHandler,
+ * e.g. /api/autentique-webhook and /api/clicksign-webhook
+ *
+ * Keys in the store:
+ * - signature-status:{documentId}  { status, signed, at } last status processed, so repeated
+ *   events don't post the same note or move the lead again
+ */
+
+const KommoClient = require('./kommo');
+const { createSignatureProvider } = require('./signature-provider');
+const { readRawBody, parseJsonBody } = require('./http-utils');
+const { getStore } = require('./store');
+const { fileSignedDocument } = require('./signed-documents');
+const { recordSignatureStatus, getContractByAutentiqueId } = require('./contract-registry');
+const settings = require('../config/settings');
+
+// Notes posted to the lead for each status ({signer} and {link} are replaced)
+const STATUS_NOTES = {
+  pending: 'Contrato aguardando assinatura: {link}',
+  viewed: 'Contrato visualizado por {signer}: {link}',
+  partially_signed: 'Contrato assinado por {signer}: {link}',
+  signed: 'Contrato assinado por todas as partes: {link}',
+  refused: 'Contrato recusado por {signer}: {link}',
+};
+
+/**
+ * Build the webhook handler of a provider
+ * @param {string} providerName - Signature provider name
+ * @returns {Function} Serverless handler (req, res)
+ */
+function createSignatureWebhookHandler(providerName) {
+  return async (req, res) => {
+    // Only accept POST requests
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+      const provider = createSignatureProvider(providerName);
+      console.log(`Received webhook from ${provider.label}`);
+
+      const rawBody = await readRawBody(req);
+
+      // Reject events that were not signed with our webhook secret
+      if (provider.webhookSecret) {
+        if (!provider.verifyWebhook(rawBody, req.headers)) {
+          console.warn(`Invalid ${provider.label} webhook signature, rejecting`);
+          return res.status(401).json({ error: 'Invalid signature' });
+        }
+      } else if (settings.signatureStatus.allowUnsignedWebhooks) {
+        console.warn(`${provider.label} webhook secret not set, skipping signature verification (SIGNATURE_WEBHOOK_ALLOW_UNSIGNED=true)`);
+      } else {
+        console.warn(`${provider.label} webhook secret not set, rejecting`);
+        return res.status(401).json({ error: `${provider.label} webhook secret not configured` });
+      }
+
+      const event = provider.parseWebhookEvent(parseJsonBody(req, rawBody));
+      const { type: eventType, documentId } = event;
+
+      console.log(`Event: ${eventType}, Document: ${documentId}`);
+
+      if (!documentId) {
+        console.log('No document ID found in webhook, ignoring');
+        return res.status(200).json({ message: 'No document ID in webhook' });
+      }
+
+      if (event.ignore) {
+        console.log(`${event.ignore} in ${provider.label}, ignoring`);
+        return res.status(200).json({ message: event.ignore, documentId });
+      }
+
+      // Never trust the payload for the status itself: read it back from the provider
+      // This also guarantees the document really exists in our account
+      const document = await provider.getDocument(documentId);
+      if (!document) {
+        console.warn(`Document ${documentId} not found in ${provider.label}, ignoring`);
+        return res.status(200).json({ message: 'Document not found' });
+      }
+
+      const status = provider.getSignatureStatus(document);
+      console.log(`Signature status: ${status}`);
+
+      // Find the lead that owns this document
+      const kommo = new KommoClient();
+      const lead = await findLeadByDocumentId(kommo, documentId);
+
+      if (!lead) {
+        console.warn(`No Kommo lead found for ${provider.label} document ${documentId}`);
+        return res.status(200).json({ message: 'Lead not found', documentId });
+      }
+
+      console.log(`Lead found: ${lead.id} (${lead.name})`);
+
+      const statusConfig = settings.signatureStatus;
+      const documentLink = provider.getDocumentLink(documentId);
+
+      // Write the status into the configured custom field
+      if (statusConfig.fieldId) {
+        try {
+          await kommo.updateLeadCustomField(lead.id, statusConfig.fieldId, statusConfig.labels[status] || status);
+          console.log('Signature status custom field updated');
+        } catch (error) {
+          console.error('Error updating signature status custom field:', error.message);
+          // Continue even if field update fails
+        }
+      }
+
+      // File the signed PDF before anything else is posted: if it fails, the 500 below
+      // makes the provider deliver the event again and the whole flow is retried
+      let signedPdf = null;
+      if (status === 'signed' && settings.signedDocuments.enabled) {
+        signedPdf = await fileSignedDocument({ kommo, provider, lead, document });
+      }
+
+      await recordSignatureStatus(document, status, signedPdf ? { signedPdf: { fileId: signedPdf.fileId, link: signedPdf.link } } : {});
+
+      // Providers send several events for the same change (and retry them), only act on new ones
+      const changed = await hasSignatureStatusChanged(document, status);
+      if (!changed) {
+        console.log(`Status ${status} was processed already for document ${documentId}, skipping the note and the move`);
+      }
+
+      // Post a note describing what happened
+      if (changed && statusConfig.postNotes) {
+        try {
+          let noteText = STATUS_NOTES[status]
+            .replace('{signer}', event.signerName || getLatestSignerName(document, status))
+            .replace('{link}', documentLink);
+
+          if (signedPdf) {
+            noteText += `\nPDF assinado: ${signedPdf.link}`;
+          }
+
+          await kommo.addNoteToLead(lead.id, noteText);
+          console.log('Note posted to Kommo');
+        } catch (error) {
+          console.error('Error adding note:', error.message);
+          // Continue even if note fails
+        }
+      }
+
+      // Move the lead if a destination status is configured for this outcome
+      const destination = getDestinationStatus(status);
+      if (changed && destination.statusId) {
+        try {
+          await kommo.updateLeadStatus(lead.id, destination.statusId, destination.pipelineId);
+          console.log(`Lead moved to status ${destination.statusId}`);
+        } catch (error) {
+          console.error('Error moving lead:', error.message);
+          // Continue even if status update fails
+        }
+      }
+
+      if (changed) {
+        await saveSignatureStatus(document, status);
+      }
+
+      return res.status(200).json({
+        success: true,
+        provider: providerName,
+        event: eventType,
+        documentId,
+        leadId: lead.id,
+        status,
+        changed,
+        signedPdf,
+      });
+
+    } catch (error) {
+      console.error(`Error processing ${providerName} webhook:`, error);
+
+      // Return a server error so the provider retries the delivery later
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  };
+}
+
+/**
+ * Get the store key of the last status processed for a document
+ * @param {Object} document - Document fetched from the provider
+ * @returns {string} Store key
+ */
+function getSignatureStatusKey(document) {
+  return `signature-status:${document.id}`;
+}
+
+/**
+ * Check whether a status is new for a document
+ * Each new signature of a partially signed document counts as a change
+ * @param {Object} document - Document fetched from the provider
+ * @param {string} status - Overall signature status
+ * @returns {Promise<boolean>} False if the same status and signatures were processed already
+ */
+async function hasSignatureStatusChanged(document, status) {
+  const last = await getStore().get(getSignatureStatusKey(document));
+  return !last || last.status !== status || last.signed !== countSignatures(document);
+}
+
+/**
+ * Remember the status processed for a document
+ * @param {Object} document - Document fetched from the provider
+ * @param {string} status - Overall signature status
+ * @returns {Promise<void>}
+ */
+async function saveSignatureStatus(document, status) {
+  await getStore().set(getSignatureStatusKey(document), {
+    status,
+    signed: countSignatures(document),
+    at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Count the signatures given on a document
+ * @param {Object} document - Document fetched from the provider
+ * @returns {number} Signatures with status 'signed'
+ */
+function countSignatures(document) {
+  return (document.signatures || []).filter(signature => signature.status === 'signed').length;
+}
+
+/**
+ * Find the lead that owns a document
+ * The contract registry knows the lead of every contract it recorded; Kommo search is only
+ * used for documents sent before the registry existed
+ * @param {KommoClient} kommo - Kommo client
+ * @param {string} documentId - Document ID in the signature provider
+ * @returns {Promise<Object|null>} Lead or null if not found
+ */
+async function findLeadByDocumentId(kommo, documentId) {
+  const contract = await getContractByAutentiqueId(documentId);
+  if (contract) {
+    const leadData = await kommo.getLead(contract.leadId);
+    return leadData._embedded?.leads?.[0] || leadData;
+  }
+
+  console.log(`Document ${documentId} is not in the contract registry, searching Kommo...`);
+  const leads = await kommo.findLeads(documentId);
+  const linkFieldId = settings.kommo.autentiqueLinkFieldId;
+
+  if (!linkFieldId) {
+    // Without the link field we can only trust an unambiguous match
+    return leads.length === 1 ? leads[0] : null;
+  }
+
+  return leads.find(lead => {
+    const link = kommo.getCustomFieldValue(lead, linkFieldId);
+    return link && String(link).includes(documentId);
+  }) || null;
+}
+
+/**
+ * Get a readable name for the signer behind a status, for events that don't say who acted
+ * Uses the most recent signature that reached the status
+ * @param {Object} document - Document fetched from the provider
+ * @param {string} status - Overall signature status
+ * @returns {string} Signer name or email
+ */
+function getLatestSignerName(document, status) {
+  const key = status === 'refused' ? 'refusedAt' : status === 'viewed' ? 'viewedAt' : 'signedAt';
+  const signature = (document.signatures || [])
+    .filter(sig => sig[key])
+    .sort((a, b) => String(b[key]).localeCompare(String(a[key])))[0];
+
+  return signature?.name || signature?.email || 'signatário';
+}
+
+/**
+ * Get the status a lead should be moved to for a signature outcome
+ * @param {string} status - Overall signature status
+ * @returns {Object} { statusId, pipelineId } (statusId is null when nothing is configured)
+ */
+function getDestinationStatus(status) {
+  const statusConfig = settings.signatureStatus;
+
+  if (status === 'signed') {
+    return { statusId: statusConfig.signedStatusId, pipelineId: statusConfig.signedPipelineId };
+  }
+
+  if (status === 'refused') {
+    return { statusId: statusConfig.refusedStatusId, pipelineId: statusConfig.refusedPipelineId };
+  }
+
+  return { statusId: null, pipelineId: null };
+}
+
+module.exports = {
+  createSignatureWebhookHandler,
+};
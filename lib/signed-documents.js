@@ -0,0 +1,144 @@
+/**
+ * Signed Documents
+ *
+ * Files the signed PDF of a fully signed document (see lib/signature-provider.js): saves it to Drive
+ * next to the original Google Doc, attaches it to the Kommo lead and writes its link
+ * into the configured custom field
+ *
+ * Keys in the store:
+ * - signed:{signatureDocumentId}  Where the signed PDF was saved, so repeated webhooks don't file it twice
+ */
+
+const GoogleDocsClient = require('./google-docs');
+const { getStore } = require('./store');
+const { acquireLock, releaseLock, listProcessedRecords } = require('./idempotency');
+const settings = require('../config/settings');
+
+/**
+ * Find the Google Doc the signature document was created from
+ * @param {KommoClient} kommo - Kommo client
+ * @param {GoogleDocsClient} googleDocs - Google Docs client
+ * @param {Object} lead - Lead that owns the document
+ * @param {string} signatureDocumentId - Document ID in the signature provider
+ * @returns {Promise<string|null>} Google Doc ID or null if unknown
+ */
+async function findOriginalDocumentId(kommo, googleDocs, lead, signatureDocumentId) {
+  const records = await listProcessedRecords(lead.id);
+  const record = records.find(item => item.autentiqueDocumentId === signatureDocumentId && item.documentId);
+
+  if (record) {
+    return record.documentId;
+  }
+
+  // Leads processed before the store existed only have the link field
+  const link = settings.kommo.linkFieldId ? kommo.getCustomFieldValue(lead, settings.kommo.linkFieldId) : null;
+  return googleDocs.getDocumentIdFromLink(link);
+}
+
+/**
+ * Pick the Drive folder for the signed PDF
+ * @param {GoogleDocsClient} googleDocs - Google Docs client
+ * @param {string} originalDocumentId - Google Doc ID (optional)
+ * @returns {Promise<string|null>} Folder ID, or null for the service account's root
+ */
+async function getSignedFolderId(googleDocs, originalDocumentId) {
+  const config = settings.signedDocuments;
+  let folderId = config.folderId;
+
+  // Documents rendered from .docx templates are not in Drive
+  if (!folderId && originalDocumentId && settings.renderer.type === 'google') {
+    folderId = await googleDocs.getParentFolderId(originalDocumentId);
+  }
+
+  folderId = folderId || settings.googleDrive.folderId;
+
+  if (folderId && config.subfolderName) {
+    folderId = await googleDocs.findOrCreateFolder(config.subfolderName, folderId);
+  }
+
+  return folderId;
+}
+
+/**
+ * Save the signed PDF of a document to Drive and link it to the lead
+ * The Drive upload must succeed; the Kommo attachment and custom field are best effort
+ * @param {Object} params
+ * @param {KommoClient} params.kommo - Kommo client
+ * @param {Object} params.provider - Signature provider the document was sent to
+ * @param {Object} params.lead - Lead that owns the document
+ * @param {Object} params.document - Document returned by provider.getDocument
+ * @returns {Promise<Object|null>} { fileId, link, name, kommoFileUuid, savedAt }, or null if another request is filing it
+ */
+async function fileSignedDocument({ kommo, provider, lead, document }) {
+  const store = getStore();
+  const storeKey = `signed:${document.id}`;
+
+  const existing = await store.get(storeKey);
+  if (existing) {
+    console.log(`Signed PDF of ${document.id} already saved: ${existing.link}`);
+    return existing;
+  }
+
+  const lockToken = await acquireLock(storeKey);
+  if (!lockToken) {
+    console.log(`Signed PDF of ${document.id} is being saved by another request, skipping`);
+    return null;
+  }
+
+  try {
+    const config = settings.signedDocuments;
+    const googleDocs = new GoogleDocsClient();
+
+    console.log(`Downloading signed PDF from ${provider.label}...`);
+    const pdf = await provider.downloadSignedPdf(document);
+
+    const originalDocumentId = await findOriginalDocumentId(kommo, googleDocs, lead, document.id);
+    const folderId = await getSignedFolderId(googleDocs, originalDocumentId);
+    const name = `${document.name}${config.fileSuffix}.pdf`;
+
+    const file = await googleDocs.uploadPdf(name, pdf, folderId);
+
+    const result = {
+      leadId: lead.id,
+      originalDocumentId,
+      fileId: file.id,
+      link: file.link,
+      name,
+      kommoFileUuid: null,
+      savedAt: new Date().toISOString(),
+    };
+
+    if (config.attachToLead) {
+      try {
+        const kommoFile = await kommo.uploadFile(name, pdf);
+        await kommo.attachFileToLead(lead.id, kommoFile.uuid);
+        await kommo.addFileNoteToLead(lead.id, kommoFile);
+
+        result.kommoFileUuid = kommoFile.uuid;
+        console.log('Signed PDF attached to the Kommo lead');
+      } catch (error) {
+        console.error('Error attaching signed PDF to lead:', error.message);
+        // Continue even if the attachment fails, the PDF is safe in Drive
+      }
+    }
+
+    if (config.fieldId) {
+      try {
+        await kommo.updateLeadCustomField(lead.id, config.fieldId, file.link);
+        console.log('Signed PDF custom field updated');
+      } catch (error) {
+        console.error('Error updating signed PDF custom field:', error.message);
+        // Continue even if field update fails
+      }
+    }
+
+    await store.set(storeKey, result);
+    return result;
+  } finally {
+    await releaseLock(storeKey, lockToken);
+  }
+}
+
+module.exports = {
+  fileSignedDocument,
+};
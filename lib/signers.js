@@ -0,0 +1,154 @@
+/**
+ * Signers
+ *
+ * Resolves the signer list configured in settings.autentique.signers for a lead
+ *
+ * Name, email and phone accept a fixed value ({ value: '...' }) or mapping sources
+ * (see lib/lead-context.js), so a guarantor can come from any lead field
+ *
+ * Each signer is delivered through the first of its channels (email, whatsapp, sms)
+ * that has valid contact data
+ */
+
+const { isValidEmail } = require('./validation');
+const { toE164, isMobilePhone } = require('./phone');
+const settings = require('../config/settings');
+
+// Actions accepted in the configuration
+const ACTIONS = ['SIGN', 'WITNESS', 'APPROVE', 'RECOGNIZE'];
+
+// Delivery channels accepted in the configuration
+const CHANNELS = ['email', 'whatsapp', 'sms'];
+
+/**
+ * Resolve a signer attribute
+ * @param {LeadContext} leadContext - Context of the lead being processed
+ * @param {Object|string|Array<string>} spec - { value } or mapping sources
+ * @returns {Promise<*>} Value or null if empty
+ */
+async function resolveSignerValue(leadContext, spec) {
+  if (spec === null || spec === undefined) {
+    return null;
+  }
+
+  if (typeof spec === 'object' && !Array.isArray(spec)) {
+    return spec.value === undefined || spec.value === '' ? null : spec.value;
+  }
+
+  const { value } = await leadContext.resolveFirst(spec);
+  return value;
+}
+
+/**
+ * Pick the first channel the signer can be reached on
+ * @param {Array<string>} channels - Channels in order of preference
+ * @param {Object} contact - { email, phone } (phone in E.164)
+ * @returns {string|null} Channel or null if none works
+ */
+function pickDeliveryChannel(channels, { email, phone }) {
+  return channels.find(channel => channel === 'email'
+    ? !!email && isValidEmail(email)
+    : !!phone && isMobilePhone(phone)) || null;
+}
+
+/**
+ * Describe why a signer can't be reached, in the language of the validation notes
+ * @param {Array<string>} channels - Channels configured for the signer
+ * @param {Object} contact - { email, rawPhone }
+ * @returns {string} Problem description
+ */
+function describeContactProblem(channels, { email, rawPhone }) {
+  const details = [];
+
+  if (channels.includes('email')) {
+    details.push(email ? `e-mail inválido (${email})` : 'e-mail não preenchido');
+  }
+
+  if (channels.some(channel => channel !== 'email')) {
+    details.push(rawPhone ? `celular inválido (${rawPhone})` : 'celular não preenchido');
+  }
+
+  return details.join(', ');
+}
+
+/**
+ * Resolve and validate the signers of a contract
+ * Signers without an order keep their position and sign before the ordered ones
+ * @param {LeadContext} leadContext - Context of the lead being processed
+ * @param {Array<Object>} configs - Signer configuration (see settings.autentique.signers)
+ * @returns {Promise<Object>} { signers, sortable, problems }
+ *   signers: [{ role, name, email, phone, delivery, action, order }] in signing order
+ *   sortable: whether the signers must sign in sequence
+ *   problems: [{ placeholder, message }] in the same format as lib/validation.js
+ */
+async function resolveSigners(leadContext, configs = []) {
+  const signers = [];
+  const problems = [];
+
+  for (const [index, config] of configs.entries()) {
+    const role = config.role || `Signatário ${index + 1}`;
+    const action = String(config.action || 'SIGN').toUpperCase();
+
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown signer action for "${role}": ${config.action}. Must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    const channels = [].concat(config.delivery || settings.autentique.delivery).map(channel => String(channel).toLowerCase());
+    const unknownChannel = channels.find(channel => !CHANNELS.includes(channel));
+
+    if (unknownChannel) {
+      throw new Error(`Unknown delivery channel for "${role}": ${unknownChannel}. Must be one of: ${CHANNELS.join(', ')}`);
+    }
+
+    const name = await resolveSignerValue(leadContext, config.name);
+    const emailValue = await resolveSignerValue(leadContext, config.email);
+    const rawPhone = await resolveSignerValue(leadContext, config.phone);
+    const email = emailValue ? String(emailValue).trim() : null;
+    const phone = toE164(rawPhone);
+
+    if (!email && !rawPhone && config.skipIfEmpty) {
+      console.log(`Signer "${role}" has no email or phone, skipping`);
+      continue;
+    }
+
+    const delivery = pickDeliveryChannel(channels, { email, phone });
+    if (!delivery) {
+      problems.push({
+        placeholder: `Signatário (${role})`,
+        message: describeContactProblem(channels, { email, rawPhone }),
+      });
+      continue;
+    }
+
+    if (delivery !== channels[0]) {
+      console.log(`Signer "${role}" can't be reached by ${channels[0]}, using ${delivery}`);
+    }
+
+    signers.push({
+      role,
+      name: name ? String(name) : null,
+      email,
+      phone,
+      delivery,
+      action,
+      order: config.order ?? null,
+      position: index,
+    });
+  }
+
+  const sortable = signers.some(signer => signer.order !== null);
+  signers.sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || a.position - b.position);
+
+  return {
+    signers: signers.map(({ position, ...signer }) => signer),
+    sortable,
+    problems,
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  CHANNELS,
+  resolveSignerValue,
+  resolveSigners,
+};
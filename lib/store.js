@@ -0,0 +1,319 @@
+/**
+ * Key-Value Storage
+ *
+ * Small pluggable store used for state that must survive between webhook calls
+ * - FileStore: JSON file on disk, for local development
+ * - KvStore: Vercel KV / Upstash Redis REST API, for production
+ *
+ * Every store implements the same async interface:
+ * get(key), mget(keys), set(key, value, { ttl }), add(key, value, { ttl }), delete(key), keys(prefix),
+ * and sets of strings for indexes: sadd(key, member), srem(key, member), smembers(key),
+ * zadd(key, score, member), zrem(key, member), zrangebyscore(key, min, max) (members in score order)
+ * Values are JSON-serializable and ttl is in seconds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const settings = require('../config/settings');
+
+class FileStore {
+  /**
+   * @param {string} filePath - Path of the JSON file holding the data
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+
+    // Serialize operations so concurrent requests in the same process don't clobber the file
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run an operation with exclusive access to the file
+   * @param {Function} operation - Receives the data object, returns the result
+   * @param {boolean} write - Whether the data must be saved afterwards
+   * @returns {Promise<*>} Result of the operation
+   */
+  exclusive(operation, write = false) {
+    const run = this.queue.then(async () => {
+      const data = this.read();
+      const result = operation(data);
+
+      if (write) {
+        this.write(data);
+      }
+
+      return result;
+    });
+
+    // Keep the queue going even if this operation fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load the data file, dropping expired entries
+   * @returns {Object} Entries keyed by store key
+   */
+  read() {
+    let data = {};
+
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading store file ${this.filePath}:`, error.message);
+      }
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(data)) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        delete data[key];
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Save the data file atomically
+   * @param {Object} data - Entries keyed by store key
+   */
+  write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  async get(key) {
+    return this.exclusive(data => (data[key] ? data[key].value : null));
+  }
+
+  async mget(keys) {
+    return this.exclusive(data => keys.map(key => (data[key] ? data[key].value : null)));
+  }
+
+  async set(key, value, { ttl } = {}) {
+    return this.exclusive(data => {
+      data[key] = { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+    }, true);
+  }
+
+  async add(key, value, { ttl } = {}) {
+    return this.exclusive(data => {
+      if (data[key]) {
+        return false;
+      }
+
+      data[key] = { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+      return true;
+    }, true);
+  }
+
+  async delete(key) {
+    return this.exclusive(data => {
+      delete data[key];
+    }, true);
+  }
+
+  async keys(prefix = '') {
+    return this.exclusive(data => Object.keys(data).filter(key => key.startsWith(prefix)));
+  }
+
+  async sadd(key, member) {
+    return this.exclusive(data => {
+      const members = data[key] ? data[key].value : [];
+      if (!members.includes(member)) {
+        data[key] = { value: [...members, member], expiresAt: null };
+      }
+    }, true);
+  }
+
+  async srem(key, member) {
+    return this.exclusive(data => {
+      if (data[key]) {
+        data[key].value = data[key].value.filter(candidate => candidate !== member);
+      }
+    }, true);
+  }
+
+  async smembers(key) {
+    return this.exclusive(data => (data[key] ? [...data[key].value] : []));
+  }
+
+  async zadd(key, score, member) {
+    return this.exclusive(data => {
+      data[key] = { value: { ...(data[key] ? data[key].value : {}), [member]: score }, expiresAt: null };
+    }, true);
+  }
+
+  async zrem(key, member) {
+    return this.exclusive(data => {
+      if (data[key]) {
+        delete data[key].value[member];
+      }
+    }, true);
+  }
+
+  async zrangebyscore(key, min, max) {
+    return this.exclusive(data => Object.entries(data[key] ? data[key].value : {})
+      .filter(([, score]) => score >= min && score <= max)
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member));
+  }
+}
+
+class KvStore {
+  /**
+   * @param {string} url - REST API URL (KV_REST_API_URL)
+   * @param {string} token - REST API token (KV_REST_API_TOKEN)
+   * @param {string} prefix - Prefix added to every key
+   */
+  constructor(url, token, prefix = '') {
+    if (!url || !token) {
+      throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN must be set to use the kv storage driver');
+    }
+
+    this.prefix = prefix;
+    this.client = axios.create({
+      baseURL: url,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+  }
+
+  /**
+   * Run a Redis command through the REST API
+   * @param {Array} command - Command and arguments, e.g. ['GET', 'key']
+   * @returns {Promise<*>} Command result
+   */
+  async command(command) {
+    try {
+      const response = await this.client.post('/', command);
+      return response.data.result;
+    } catch (error) {
+      console.error(`Error running KV command ${command[0]}:`, error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const result = await this.command(['GET', this.prefix + key]);
+    return result === null || result === undefined ? null : JSON.parse(result);
+  }
+
+  async mget(keys) {
+    if (keys.length === 0) {
+      return [];
+    }
+
+    const results = await this.command(['MGET', ...keys.map(key => this.prefix + key)]);
+    return results.map(result => (result === null || result === undefined ? null : JSON.parse(result)));
+  }
+
+  async set(key, value, { ttl } = {}) {
+    const command = ['SET', this.prefix + key, JSON.stringify(value)];
+    if (ttl) {
+      command.push('EX', Math.ceil(ttl));
+    }
+
+    await this.command(command);
+  }
+
+  async add(key, value, { ttl } = {}) {
+    const command = ['SET', this.prefix + key, JSON.stringify(value), 'NX'];
+    if (ttl) {
+      command.push('EX', Math.ceil(ttl));
+    }
+
+    return (await this.command(command)) === 'OK';
+  }
+
+  async delete(key) {
+    await this.command(['DEL', this.prefix + key]);
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.command(['SCAN', cursor, 'MATCH', `${this.prefix}${prefix}*`, 'COUNT', 500]);
+      keys.push(...batch.map(key => key.slice(this.prefix.length)));
+      cursor = String(nextCursor);
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  async sadd(key, member) {
+    await this.command(['SADD', this.prefix + key, member]);
+  }
+
+  async srem(key, member) {
+    await this.command(['SREM', this.prefix + key, member]);
+  }
+
+  async smembers(key) {
+    return (await this.command(['SMEMBERS', this.prefix + key])) || [];
+  }
+
+  async zadd(key, score, member) {
+    await this.command(['ZADD', this.prefix + key, score, member]);
+  }
+
+  async zrem(key, member) {
+    await this.command(['ZREM', this.prefix + key, member]);
+  }
+
+  async zrangebyscore(key, min, max) {
+    const bound = value => (value === Infinity ? '+inf' : value === -Infinity ? '-inf' : value);
+    return (await this.command(['ZRANGEBYSCORE', this.prefix + key, bound(min), bound(max)])) || [];
+  }
+}
+
+let store = null;
+
+/**
+ * Get the store configured in settings.storage
+ * @returns {FileStore|KvStore} Shared store instance
+ */
+function getStore() {
+  if (store) {
+    return store;
+  }
+
+  const { driver, filePath, kvUrl, kvToken, keyPrefix } = settings.storage;
+
+  if (driver === 'kv') {
+    store = new KvStore(kvUrl, kvToken, keyPrefix);
+  } else if (driver === 'file') {
+    // Vercel instances don't share /tmp: locks, processed records and jobs would only be seen by one instance
+    if (process.env.VERCEL) {
+      if (!process.env.STORAGE_DRIVER) {
+        throw new Error('No KV database linked on Vercel: link Vercel KV (KV_REST_API_URL / KV_REST_API_TOKEN) ' +
+                        'or set STORAGE_DRIVER=file to accept a store that is not shared between instances');
+      }
+
+      console.warn(`WARNING: STORAGE_DRIVER=file on Vercel keeps the store in ${filePath}, which is lost when the instance ` +
+                   'recycles and not shared with other instances. Duplicate contracts and lost retry jobs are likely.');
+    }
+
+    store = new FileStore(filePath);
+  } else {
+    throw new Error(`Unknown storage driver: ${driver}. Must be one of: file, kv`);
+  }
+
+  return store;
+}
+
+module.exports = {
+  FileStore,
+  KvStore,
+  getStore,
+};
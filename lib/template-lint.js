@@ -0,0 +1,108 @@
+/**
+ * Template Lint
+ *
+ * Compares the [...] placeholders of a template document with its field mapping.
+ * replaceAllText matches placeholders exactly, so a placeholder renamed in the
+ * document or typed with a different accent ([Endereço] vs [Endereco]) silently
+ * stays in the contract as literal text
+ */
+
+const { MARKER_PATTERN } = require('./sections');
+const { normalizeMappingEntries } = require('./replacements');
+
+const PLACEHOLDER_PATTERN = /\[[^[\]\n]+\]/g;
+const SECTION_MARKER = new RegExp(`^(?:${MARKER_PATTERN.source})$`, 'i');
+
+/**
+ * Normalize a placeholder for near-miss comparisons
+ * @param {string} placeholder - Placeholder (e.g. "[Endereço]")
+ * @returns {string} Lower-case placeholder without accents and with single spaces
+ */
+function normalizePlaceholder(placeholder) {
+  return placeholder
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\[\s*/, '[')
+    .replace(/\s*\]$/, ']');
+}
+
+/**
+ * Extract the placeholders of a document text, leaving out [SE ...] / [FIM SE] markers
+ * @param {string} text - Document text
+ * @returns {Object} Placeholder -> number of occurrences
+ */
+function extractPlaceholders(text) {
+  const placeholders = {};
+
+  for (const [token] of text.matchAll(PLACEHOLDER_PATTERN)) {
+    if (SECTION_MARKER.test(token)) {
+      continue;
+    }
+
+    placeholders[token] = (placeholders[token] || 0) + 1;
+  }
+
+  return placeholders;
+}
+
+/**
+ * Build the report of a filled document
+ * @param {Object} replaced - Placeholder -> occurrences replaced
+ * @param {string} text - Text of the filled document
+ * @returns {Object} { replaced, notFound, leftover } where notFound lists mapped placeholders
+ *   the document didn't have and leftover the [...] tokens still in it
+ */
+function buildPlaceholderReport(replaced, text) {
+  return {
+    replaced,
+    notFound: Object.keys(replaced).filter(placeholder => replaced[placeholder] === 0),
+    leftover: Object.keys(extractPlaceholders(text)),
+  };
+}
+
+/**
+ * Compare the placeholders of a document with a field mapping
+ * A placeholder and a mapping that only differ in case, accents or spacing are
+ * reported as a near miss and left out of the other two lists
+ * @param {string} text - Document text (see GoogleDocsClient.getAllText)
+ * @param {Object} fieldMapping - Field mapping of the template
+ * @returns {Object} { placeholders, unmapped, unused, nearMisses: [{ inTemplate, inMapping }], valid }
+ */
+function lintTemplate(text, fieldMapping) {
+  const placeholders = extractPlaceholders(text);
+  const inTemplate = Object.keys(placeholders);
+  const inMapping = [...new Set(Object.entries(fieldMapping)
+    .flatMap(([source, entry]) => normalizeMappingEntries(source, entry).map(({ placeholder }) => placeholder)))];
+
+  const unmapped = inTemplate.filter(placeholder => !inMapping.includes(placeholder));
+  const unused = inMapping.filter(placeholder => !placeholders[placeholder]);
+
+  const nearMisses = [];
+  for (const placeholder of unmapped) {
+    const mapped = unused.find(candidate => normalizePlaceholder(candidate) === normalizePlaceholder(placeholder));
+    if (mapped) {
+      nearMisses.push({ inTemplate: placeholder, inMapping: mapped });
+    }
+  }
+
+  const missed = (list, key) => list.filter(placeholder => !nearMisses.some(nearMiss => nearMiss[key] === placeholder));
+
+  const result = {
+    placeholders,
+    unmapped: missed(unmapped, 'inTemplate'),
+    unused: missed(unused, 'inMapping'),
+    nearMisses,
+  };
+
+  result.valid = result.unmapped.length === 0 && result.unused.length === 0 && nearMisses.length === 0;
+  return result;
+}
+
+module.exports = {
+  normalizePlaceholder,
+  extractPlaceholders,
+  buildPlaceholderReport,
+  lintTemplate,
+};
@@ -0,0 +1,85 @@
+/**
+ * Template Routing
+ *
+ * Picks the contract template for a lead from the `templates` of the contract
+ * configuration (see lib/contract-config.js)
+ */
+
+const { matchesLead } = require('./lead-matcher');
+const { getContractConfig } = require('./contract-config');
+const defaultSections = require('../config/sections');
+const settings = require('../config/settings');
+
+/**
+ * Get the default template (GOOGLE_TEMPLATE_DOC_ID or CONTRACT_TEMPLATE_FILE with the default mapping)
+ * @param {Object} config - Contract configuration
+ * @returns {Object} Template { name, templateDocId, templateFile, signatureProvider, fieldMapping, sections }
+ */
+function getDefaultTemplate(config) {
+  return {
+    name: 'default',
+    templateDocId: settings.googleDrive.templateDocId || null,
+    templateDocIdEnv: 'GOOGLE_TEMPLATE_DOC_ID',
+    templateFile: settings.renderer.templateFile,
+    signatureProvider: null,
+    fieldMapping: config.fieldMapping,
+    sections: defaultSections,
+  };
+}
+
+/**
+ * Build a template from a rule of the configuration
+ * Whether the template has what the renderer needs is checked by the renderer
+ * @param {Object} rule - Template rule
+ * @param {Object} config - Contract configuration
+ * @returns {Object} Template { name, templateDocId, templateFile, signatureProvider, fieldMapping, sections }
+ */
+function toTemplate(rule, config) {
+  let fieldMapping = rule.fieldMapping || config.fieldMapping;
+  if (rule.fieldMapping && rule.extendFieldMapping) {
+    fieldMapping = { ...config.fieldMapping, ...rule.fieldMapping };
+  }
+
+  return {
+    name: rule.name,
+    templateDocId: rule.templateDocId || process.env[rule.templateDocIdEnv] || null,
+    templateDocIdEnv: rule.templateDocIdEnv || null,
+    templateFile: rule.templateFile || null,
+    signatureProvider: rule.signatureProvider || null,
+    fieldMapping,
+    sections: { ...defaultSections, ...rule.sections },
+  };
+}
+
+/**
+ * Resolve the template to use for a lead
+ * @param {Object} context - { lead, pipelineId, statusId }
+ * @returns {Promise<Object>} Template { name, templateDocId, templateFile, fieldMapping, sections }
+ */
+async function resolveTemplate(context) {
+  const { config } = await getContractConfig();
+  const template = (config.templates || []).find(rule => matchesLead(rule.match, context));
+
+  return template ? toTemplate(template, config) : getDefaultTemplate(config);
+}
+
+/**
+ * Get a template by name, whatever its match rule says
+ * @param {string} name - Template name ('default' for the default template)
+ * @returns {Promise<Object|null>} Template or null if there is no template with this name
+ */
+async function getTemplateByName(name) {
+  const { config } = await getContractConfig();
+
+  if (name === 'default') {
+    return getDefaultTemplate(config);
+  }
+
+  const template = (config.templates || []).find(rule => rule.name === name);
+  return template ? toTemplate(template, config) : null;
+}
+
+module.exports = {
+  resolveTemplate,
+  getTemplateByName,
+};
@@ -0,0 +1,93 @@
+/**
+ * Trigger Rules
+ *
+ * Selects the rule from config/trigger-rules.js that applies to a webhook
+ */
+
+const { matchesLead } = require('./lead-matcher');
+const { isSignatureProviderEnabled } = require('./signature-provider');
+const triggerRules = require('../config/trigger-rules');
+const settings = require('../config/settings');
+
+/**
+ * Get the configured rules
+ * Falls back to a single rule built from the legacy trigger settings
+ * @returns {Array<Object>} Trigger rules
+ */
+function getTriggerRules() {
+  if (triggerRules.length > 0) {
+    return triggerRules;
+  }
+
+  return [
+    {
+      name: 'default',
+      match: {
+        pipelineId: settings.trigger.pipelineId,
+        statusId: settings.trigger.statusId,
+      },
+      actions: {
+        generate: true,
+        share: settings.googleDrive.shareWith.length > 0,
+        sign: isSignatureProviderEnabled(),
+        note: settings.kommo.postLinkToLead,
+        move: null,
+      },
+    },
+  ];
+}
+
+/**
+ * Get the rules whose pipeline and status match a webhook
+ * Field conditions are not checked, so this can run before the lead is fetched
+ * @param {Object} context - { pipelineId, statusId }
+ * @returns {Array<Object>} Candidate rules
+ */
+function findCandidateRules(context) {
+  return getTriggerRules().filter(rule => matchesLead({
+    pipelineId: rule.match?.pipelineId,
+    statusId: rule.match?.statusId,
+  }, context));
+}
+
+/**
+ * Find the first rule that fully matches a lead, including field conditions
+ * @param {Array<Object>} rules - Candidate rules
+ * @param {Object} context - { lead, pipelineId, statusId }
+ * @returns {Object|null} Matching rule or null
+ */
+function findMatchingRule(rules, context) {
+  return rules.find(rule => matchesLead(rule.match, context)) || null;
+}
+
+/**
+ * Pick the rule to use when a contract is generated on demand (regeneration, preview)
+ * Uses the rule given by name, otherwise the rule matching the lead's current stage,
+ * otherwise the first rule that generates contracts
+ * @param {Object} lead - Lead object from Kommo API
+ * @param {string} ruleName - Rule name (optional)
+ * @returns {Object|null} Trigger rule or null if none fits
+ */
+function findRuleForLead(lead, ruleName = null) {
+  const rules = getTriggerRules();
+
+  if (ruleName) {
+    return rules.find(rule => rule.name === ruleName) || null;
+  }
+
+  const context = { lead, pipelineId: lead.pipeline_id, statusId: lead.status_id };
+  const matched = findMatchingRule(findCandidateRules(context), context);
+
+  if (matched?.actions?.generate) {
+    return matched;
+  }
+
+  return rules.find(rule => rule.actions?.generate) || null;
+}
+
+module.exports = {
+  getTriggerRules,
+  findCandidateRules,
+  findMatchingRule,
+  findRuleForLead,
+};
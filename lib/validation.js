@@ -0,0 +1,213 @@
+/**
+ * Field Validation
+ *
+ * Checks the resolved field values before a contract is generated
+ * Rules come from the `required` and `validate` options of each field mapping entry
+ */
+
+const { onlyDigits } = require('./formatters');
+const settings = require('../config/settings');
+
+/**
+ * Check a CPF, including its check digits
+ * @param {*} value - CPF with or without mask
+ * @returns {boolean} True if valid
+ */
+function isValidCpf(value) {
+  const digits = onlyDigits(value);
+
+  if (digits.length !== 11 || /^(\d)\1+$/.test(digits)) {
+    return false;
+  }
+
+  const checkDigit = length => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += parseInt(digits[i]) * (length + 1 - i);
+    }
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return checkDigit(9) === parseInt(digits[9]) && checkDigit(10) === parseInt(digits[10]);
+}
+
+/**
+ * Check a CNPJ, including its check digits
+ * @param {*} value - CNPJ with or without mask
+ * @returns {boolean} True if valid
+ */
+function isValidCnpj(value) {
+  const digits = onlyDigits(value);
+
+  if (digits.length !== 14 || /^(\d)\1+$/.test(digits)) {
+    return false;
+  }
+
+  const checkDigit = length => {
+    const weights = length === 12
+      ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+      : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+    const sum = weights.reduce((total, weight, i) => total + parseInt(digits[i]) * weight, 0);
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+  };
+
+  return checkDigit(12) === parseInt(digits[12]) && checkDigit(13) === parseInt(digits[13]);
+}
+
+/**
+ * Check a CPF or CNPJ, chosen by the number of digits
+ * @param {*} value - Document with or without mask
+ * @returns {boolean} True if valid
+ */
+function isValidCpfCnpj(value) {
+  return onlyDigits(value).length === 14 ? isValidCnpj(value) : isValidCpf(value);
+}
+
+/**
+ * Check the syntax of an email address
+ * @param {*} value - Email address
+ * @returns {boolean} True if valid
+ */
+function isValidEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).trim());
+}
+
+/**
+ * Check a CEP (8 digits)
+ * @param {*} value - CEP with or without mask
+ * @returns {boolean} True if valid
+ */
+function isValidCep(value) {
+  return onlyDigits(value).length === 8;
+}
+
+/**
+ * Check a Brazilian phone number (area code + number, optional country code)
+ * @param {*} value - Phone number
+ * @returns {boolean} True if valid
+ */
+function isValidPhone(value) {
+  const length = onlyDigits(value).length;
+  return length >= 10 && length <= 13;
+}
+
+// Validator name -> [check, message shown to the salesperson]
+const validators = {
+  cpf: [isValidCpf, 'CPF inválido'],
+  cnpj: [isValidCnpj, 'CNPJ inválido'],
+  cpfCnpj: [isValidCpfCnpj, 'CPF/CNPJ inválido'],
+  email: [isValidEmail, 'e-mail inválido'],
+  cep: [isValidCep, 'CEP inválido'],
+  phone: [isValidPhone, 'telefone inválido'],
+};
+
+/**
+ * Validate a single value
+ * @param {*} value - Raw value
+ * @param {Object} rules - { required, validate } (validate is a validator name or a function returning true or a message)
+ * @returns {string|null} Problem description or null if valid
+ */
+function validateValue(value, { required = false, validate = null } = {}) {
+  const isEmpty = value === null || value === undefined || String(value).trim() === '';
+
+  if (isEmpty) {
+    return required ? 'campo obrigatório não preenchido' : null;
+  }
+
+  if (!validate) {
+    return null;
+  }
+
+  if (typeof validate === 'function') {
+    const result = validate(value);
+    return result === true ? null : (result || 'valor inválido');
+  }
+
+  if (!validators[validate]) {
+    throw new Error(`Unknown validator: ${validate}. Must be one of: ${Object.keys(validators).join(', ')}`);
+  }
+
+  const [check, message] = validators[validate];
+  return check(value) ? null : `${message} (${value})`;
+}
+
+/**
+ * Validate the fields resolved by buildReplacements
+ * @param {Array<Object>} fields - Fields { placeholder, rawValue, required, validate }
+ * @returns {Array<Object>} Problems { placeholder, message } (empty when everything is valid)
+ */
+function validateFields(fields) {
+  const problems = [];
+
+  for (const field of fields) {
+    const message = validateValue(field.rawValue, field);
+
+    if (message) {
+      problems.push({ placeholder: field.placeholder, message });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Build the note posted to the lead when validation fails
+ * @param {Array<Object>} problems - Problems from validateFields
+ * @param {string} heading - First line of the note
+ * @returns {string} Note text
+ */
+function formatValidationNote(problems, heading = 'Contrato não gerado. Corrija os campos abaixo e mova o lead novamente:') {
+  const lines = problems.map(problem => `- ${problem.placeholder}: ${problem.message}`);
+  return `${heading}\n${lines.join('\n')}`;
+}
+
+/**
+ * Tell the salesperson what must be fixed: a note and, optionally, a task
+ * Failures are logged and never interrupt the webhook
+ * @param {KommoClient} kommo - Kommo client
+ * @param {Object} lead - Lead object from Kommo API
+ * @param {Array<Object>} problems - Problems from validateFields
+ * @param {string} heading - First line of the note (optional, see formatValidationNote)
+ * @returns {Promise<void>}
+ */
+async function reportValidationProblems(kommo, lead, problems, heading = undefined) {
+  const text = formatValidationNote(problems, heading);
+
+  if (settings.validation.postNote) {
+    try {
+      await kommo.addNoteToLead(lead.id, text);
+      console.log('Validation note posted to Kommo');
+    } catch (error) {
+      console.error('Error adding validation note:', error.message);
+    }
+  }
+
+  if (settings.validation.createTask) {
+    try {
+      await kommo.createTask(lead.id, text, {
+        responsibleUserId: lead.responsible_user_id,
+        completeTill: Math.floor(Date.now() / 1000) + settings.validation.taskDeadlineHours * 60 * 60,
+      });
+      console.log('Validation task created in Kommo');
+    } catch (error) {
+      console.error('Error creating validation task:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  isValidCpf,
+  isValidCnpj,
+  isValidCpfCnpj,
+  isValidEmail,
+  isValidCep,
+  isValidPhone,
+  validators,
+  validateValue,
+  validateFields,
+  formatValidationNote,
+  reportValidationProblems,
+};
@@ -0,0 +1,83 @@
+/**
+ * Kommo Webhook Authentication
+ *
+ * Checks incoming Kommo webhooks against the shared token, account and IP allowlists
+ */
+
+const { getClientIp, isIpAllowed, safeEqual } = require('./http-utils');
+const settings = require('../config/settings');
+
+/**
+ * Get the token sent with a webhook
+ * Accepted in the ?token= query parameter, the X-Webhook-Token header or as a Bearer token
+ * @param {Object} req - Incoming request
+ * @returns {string|null} Token or null if none was sent
+ */
+function getRequestToken(req) {
+  if (req.query?.token) {
+    return String(req.query.token);
+  }
+
+  if (req.headers['x-webhook-token']) {
+    return String(req.headers['x-webhook-token']);
+  }
+
+  const authorization = String(req.headers.authorization || '');
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length);
+  }
+
+  return null;
+}
+
+/**
+ * Get the account that sent a webhook
+ * Kommo sends it as account[id]/account[subdomain] (form) or { account: { id, subdomain } } (JSON)
+ * @param {Object} body - Webhook payload
+ * @returns {Object} { id, subdomain } (null values when not present)
+ */
+function getWebhookAccount(body = {}) {
+  const id = body.account?.id ?? body['account[id]'] ?? null;
+  const subdomain = body.account?.subdomain ?? body['account[subdomain]'] ?? null;
+
+  return {
+    id: id !== null ? String(id) : null,
+    subdomain: subdomain !== null ? String(subdomain).toLowerCase() : null,
+  };
+}
+
+/**
+ * Authenticate a Kommo webhook request
+ * Only the checks that are configured in settings.webhookSecurity are applied
+ * @param {Object} req - Incoming request
+ * @returns {Object} { ok: true } or { ok: false, status, reason }
+ */
+function authenticateKommoWebhook(req) {
+  const security = settings.webhookSecurity;
+  const ip = getClientIp(req);
+
+  if (security.allowedIps.length > 0 && !isIpAllowed(ip, security.allowedIps)) {
+    return { ok: false, status: 403, reason: `IP ${ip} is not in the allowlist` };
+  }
+
+  if (security.token && !safeEqual(getRequestToken(req), security.token)) {
+    return { ok: false, status: 401, reason: 'Missing or invalid webhook token' };
+  }
+
+  const account = getWebhookAccount(req.body);
+
+  if (security.allowedAccountIds.length > 0 && !security.allowedAccountIds.includes(account.id)) {
+    return { ok: false, status: 403, reason: `Account ID ${account.id} is not allowed` };
+  }
+
+  if (security.allowedSubdomains.length > 0 && !security.allowedSubdomains.includes(account.subdomain)) {
+    return { ok: false, status: 403, reason: `Account subdomain ${account.subdomain} is not allowed` };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  authenticateKommoWebhook,
+  getWebhookAccount,
+};
@@ -0,0 +1,102 @@
+/**
+ * Kommo Webhook Payload
+ *
+ * Kommo batches several lead events in one webhook and, depending on how the body
+ * was parsed, they arrive as:
+ * - JSON arrays:        { leads: { status: [{ id, status_id, pipeline_id }, ...] } }
+ * - Nested form fields: { leads: { status: { 0: { id, ... }, 1: { id, ... } } } }
+ * - Flat form fields:   { 'leads[status][0][id]': '123', 'leads[status][1][id]': '456', ... }
+ */
+
+// Lead event types that can trigger a contract, in the order they are read
+const EVENT_TYPES = ['status', 'add'];
+
+// Flat form field name, e.g. leads[status][0][pipeline_id]
+const FLAT_FIELD_PATTERN = /^leads\[(\w+)\]\[(\d+)\]\[(\w+)\]$/;
+
+/**
+ * Turn a list that may be an array or an object keyed by index into an array
+ * @param {Array|Object} value - Parsed list
+ * @returns {Array<Object>} Entries in index order
+ */
+function toEntries(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort((a, b) => Number(a) - Number(b))
+      .map(key => value[key]);
+  }
+
+  return [];
+}
+
+/**
+ * Group the flat form fields by event type and index
+ * @param {Object} body - Parsed webhook body
+ * @returns {Object} Event type -> entries in index order
+ */
+function parseFlatFields(body) {
+  const grouped = {};
+
+  for (const [key, value] of Object.entries(body)) {
+    const match = key.match(FLAT_FIELD_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, type, index, field] = match;
+    grouped[type] = grouped[type] || {};
+    grouped[type][index] = grouped[type][index] || {};
+    grouped[type][index][field] = value;
+  }
+
+  return Object.fromEntries(Object.entries(grouped).map(([type, entries]) => [type, toEntries(entries)]));
+}
+
+/**
+ * Extract every lead event of a Kommo webhook
+ * The same lead moved to the same status twice in one batch is only returned once
+ * @param {Object} body - Parsed webhook body (JSON or form-urlencoded)
+ * @returns {Array<Object>} Events [{ type, leadId, statusId, pipelineId }]
+ */
+function parseLeadEvents(body) {
+  if (!body || typeof body !== 'object') {
+    return [];
+  }
+
+  const flat = parseFlatFields(body);
+  const events = [];
+  const seen = new Set();
+
+  for (const type of EVENT_TYPES) {
+    const entries = [...toEntries(body.leads?.[type]), ...(flat[type] || [])];
+
+    for (const entry of entries) {
+      if (!entry?.id) {
+        continue;
+      }
+
+      const event = {
+        type,
+        leadId: entry.id,
+        statusId: entry.status_id || null,
+        pipelineId: entry.pipeline_id || null,
+      };
+
+      const key = `${event.leadId}:${event.pipelineId}:${event.statusId}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        events.push(event);
+      }
+    }
+  }
+
+  return events;
+}
+
+module.exports = {
+  parseLeadEvents,
+};
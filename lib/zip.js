@@ -0,0 +1,164 @@
+/**
+ * ZIP Archives
+ *
+ * Reads and writes the ZIP container of .docx files with zlib only
+ * Supports stored and deflated entries without ZIP64, which covers every Word document
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Entry names are UTF-8 (general purpose flag bit 11)
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Read every entry of a ZIP archive
+ * @param {Buffer} buffer - Archive
+ * @returns {Map<string, Buffer>} Entry name -> uncompressed data, in archive order
+ */
+function readZip(buffer) {
+  // The end of central directory record is at the end, followed by a comment of up to 64 KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end === -1) {
+    throw new Error('Not a ZIP archive (end of central directory not found)');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new Error(`Corrupt ZIP archive (bad central directory entry ${i})`);
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    // Sizes in the local header may be zero when a data descriptor is used, so take them from here
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, Buffer.from(data));
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported compression method ${method} for ${name}`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Write a ZIP archive with every entry deflated
+ * @param {Map<string, Buffer>} entries - Entry name -> data, written in this order
+ * @returns {Buffer} Archive
+ */
+function writeZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  // 1980-01-01 00:00, Word doesn't care about entry dates
+  const dosTime = 0;
+  const dosDate = (1 << 5) | 1;
+
+  for (const [name, data] of entries) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.size, 8);
+  end.writeUInt16LE(entries.size, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = {
+  readZip,
+  writeZip,
+};